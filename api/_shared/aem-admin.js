@@ -0,0 +1,97 @@
+/*
+  AEM Admin API (admin.hlx.page) calls that refresh the EDS page of a source
+  document after it was edited, so *.aem.page does not stay stale until
+  someone clicks Preview in the sidekick, and that look up who a sidekick
+  login token belongs to (see caller-auth.js).
+
+  Env vars:
+    - AEM_ADMIN_TOKEN: admin API key of the site (sent as `authorization: token ...`)
+    - AEM_OWNER, AEM_REPO: GitHub owner and repository of the site
+    - AEM_REF: branch (default: main)
+    - AEM_ADMIN_BASE_URL: Admin API endpoint (default: https://admin.hlx.page)
+*/
+import { upstreamError } from './errors.js';
+import { upstreamFetch } from './upstream.js';
+
+const ADMIN_BASE_URL = 'https://admin.hlx.page';
+
+function siteConfig({ withToken = true } = {}) {
+  const token = process.env.AEM_ADMIN_TOKEN;
+  const owner = process.env.AEM_OWNER;
+  const repo = process.env.AEM_REPO;
+  if (withToken && !token) throw new Error('Missing AEM_ADMIN_TOKEN, AEM_OWNER or AEM_REPO');
+  if (!owner || !repo) throw new Error('Missing AEM_OWNER or AEM_REPO');
+  return {
+    token,
+    site: `${owner}/${repo}/${process.env.AEM_REF || 'main'}`,
+    baseUrl: (process.env.AEM_ADMIN_BASE_URL || ADMIN_BASE_URL).replace(/\/$/, ''),
+  };
+}
+
+async function adminFetch(route, path, { method = 'GET', query } = {}) {
+  const { token, site, baseUrl } = siteConfig();
+  const search = query ? `?${new URLSearchParams(query)}` : '';
+  const res = await upstreamFetch('aem', `${baseUrl}/${route}/${site}${path}${search}`, {
+    method,
+    headers: { authorization: `token ${token}` },
+  });
+  if (!res.ok) {
+    // the admin API explains failures in x-error rather than in the body
+    const reason = res.headers.get('x-error') || await res.text();
+    throw upstreamError(`AEM ${route}`, res.status, reason);
+  }
+  return res.json();
+}
+
+// Web path (e.g. /en/products) of the page a source document is mounted as
+export async function resolveWebPath(editUrl) {
+  const status = await adminFetch('status', '/*', { query: { editUrl } });
+  if (!status?.webPath) throw new Error(`Document is not mounted in fstab.yaml: ${editUrl}`);
+  return status.webPath;
+}
+
+/**
+ * Previews and, when asked, publishes the page of an edited source document.
+ * Failures are reported in the result instead of thrown, because the
+ * document edit itself already succeeded.
+ * @param {string} editUrl URL of the source document
+ * @param {object} [options]
+ * @param {boolean} [options.publish] also publish the page to *.aem.live
+ * @returns {Promise<{path?: string, preview?: {status: number, url: string},
+ *   live?: {status: number, url: string}, error?: string}>}
+ */
+export async function refreshAemPage(editUrl, { publish = false } = {}) {
+  const result = {};
+  try {
+    result.path = await resolveWebPath(editUrl);
+    const { preview } = await adminFetch('preview', result.path, { method: 'POST' });
+    result.preview = { status: preview?.status, url: preview?.url };
+    if (publish) {
+      const { live } = await adminFetch('live', result.path, { method: 'POST' });
+      result.live = { status: live?.status, url: live?.url };
+    }
+  } catch (e) {
+    result.error = String(e?.message || e);
+  }
+  return result;
+}
+
+/**
+ * Profile of the user a sidekick login token was issued to.
+ * @param {string} authToken token the sidekick got when the user signed in
+ * @returns {Promise<?{email: string, name?: string}>} null when the admin API
+ *   does not accept the token
+ */
+export async function getAemProfile(authToken) {
+  const { site, baseUrl } = siteConfig({ withToken: false });
+  const res = await upstreamFetch('aem', `${baseUrl}/profile/${site}`, {
+    headers: { 'x-auth-token': authToken },
+  });
+  if (res.status === 401 || res.status === 403) return null;
+  if (!res.ok) {
+    const reason = res.headers.get('x-error') || await res.text();
+    throw upstreamError('AEM profile', res.status, reason);
+  }
+  const { profile } = await res.json();
+  return profile?.email ? { email: profile.email, name: profile.name } : null;
+}
@@ -0,0 +1,34 @@
+// Alt text for inserted images; EDS passes it to createOptimizedPicture() as `alt`
+
+const MAX_ALT_TEXT_LENGTH = 125;
+
+/**
+ * Turns a generation prompt into alt text: drops Midjourney-style `--flags`
+ * and "photo of"-style lead-ins, collapses whitespace and trailing
+ * punctuation, capitalizes and shortens it at a word boundary.
+ * @param {string} prompt
+ * @returns {string|undefined} undefined when nothing usable is left
+ */
+export function altTextFromPrompt(prompt) {
+  const text = String(prompt || '')
+    .replace(/--\w+(\s+[^\s-]\S*)?/g, ' ')
+    .replace(/^\s*(an?\s+)?(photo|image|picture|illustration|render(ing)?)\s+of\s+/i, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[\s,.;:!、。！]+$/, '');
+  if (!text) return undefined;
+  let alt = text;
+  if (alt.length > MAX_ALT_TEXT_LENGTH) {
+    const cut = alt.slice(0, MAX_ALT_TEXT_LENGTH);
+    const space = cut.lastIndexOf(' ');
+    alt = space > MAX_ALT_TEXT_LENGTH / 2 ? cut.slice(0, space) : cut;
+    alt = alt.replace(/[\s,.;:!、。！]+$/, '');
+  }
+  return alt.charAt(0).toUpperCase() + alt.slice(1);
+}
+
+// Explicit alt text wins over the one derived from the prompt
+export function resolveAltText({ altText, prompt }) {
+  if (typeof altText === 'string') return altText.trim() || undefined;
+  return altTextFromPrompt(prompt);
+}
@@ -0,0 +1,283 @@
+/*
+  Caller authentication and authorization of the api/ functions, applied by
+  handler.js to every request after the CORS check. CORS only keeps other
+  web pages out; without this anyone could spend the Firefly credits or edit
+  whatever the service account can reach.
+
+  A caller proves who it is with one of the enabled methods:
+    - ims: `authorization: Bearer <token>` with an Adobe IMS access token
+      issued to API_IMS_CLIENT_ID; the sidekick palette signs authors in
+      and sends theirs (tools/sidekick/firefly.html, see the README)
+    - aem: `authorization: Bearer <token>` with the token the sidekick got
+      when the user signed in, checked against the AEM Admin API profile
+    - hmac: for server to server calls, x-api-timestamp (epoch seconds) and
+      x-api-signature, the hex HMAC-SHA256 of `<timestamp>.<METHOD>.<route>.<body>`
+      with a shared secret, e.g. `<ts>.POST.firefly/generate.{"prompt":"..."}`
+  Rules then decide what a caller may do. A rule applies to the routes its
+  `route` matches (`*` for any characters) and names the `callers` it lets
+  in: `*`, a method (ims, aem, hmac) or an email with `*` wildcards. A route
+  with rules only lets in callers of one of them; routes without any rule
+  let in every authenticated caller. A rule with `folders` (Drive folder
+  ids) only covers Google files somewhere below one of these folders.
+
+  Env vars:
+    - API_AUTH: comma-separated methods, e.g. "aem,hmac", or "none" to let
+      every request pass, e.g. for local development. Unset, every request
+      is rejected with 401, so a deployment is never open by accident
+    - API_IMS_CLIENT_ID: client id IMS tokens must be issued to
+    - API_HMAC_SECRETS: comma-separated secrets, more than one while rotating
+    - API_AUTH_RULES: JSON list of rules, e.g.
+      [{"route": "google/*", "callers": ["*@example.com"], "folders": ["1AbC..."]}]
+  The configuration is read once; setCallerAuth() replaces it, e.g. with
+  one built by createCallerAuth() from a config file.
+*/
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { getAemProfile } from './aem-admin.js';
+import { httpError, upstreamError } from './errors.js';
+import getFolderAncestors from './google-drive.js';
+import { upstreamFetch } from './upstream.js';
+
+const METHODS = ['ims', 'aem', 'hmac'];
+const IMS_BASE_URL = 'https://ims-na1.adobelogin.com';
+const TIMESTAMP_HEADER = 'x-api-timestamp';
+const SIGNATURE_HEADER = 'x-api-signature';
+// Signed requests older or newer than this are rejected as replays
+const MAX_CLOCK_SKEW_SECS = 300;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+// Verified tokens are checked again this often, so a revoked token soon stops working
+const TOKEN_CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+const listFromEnv = (value) => (value ? value.split(',').map((v) => v.trim()).filter(Boolean) : []);
+
+function headerOf(request, name) {
+  const headers = request?.headers || {};
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function globToRegExp(glob) {
+  const source = glob.split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Small expiring cache of verified tokens and folder lookups
+function createCache(ttlMs) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (entry && entry.expires > Date.now()) return entry.value;
+      entries.delete(key);
+      return undefined;
+    },
+    set(key, value, expiresAt = Infinity) {
+      if (entries.size >= MAX_CACHE_ENTRIES) entries.clear();
+      entries.set(key, { value, expires: Math.min(Date.now() + ttlMs, expiresAt) });
+    },
+  };
+}
+
+// When a JWT bearer token expires (`exp`, or IMS `created_at` + `expires_in`
+// in milliseconds); Infinity for tokens that do not say
+function tokenExpiry(token) {
+  try {
+    const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    if (claims.exp) return Number(claims.exp) * 1000;
+    if (claims.created_at && claims.expires_in) {
+      return Number(claims.created_at) + Number(claims.expires_in);
+    }
+  } catch (e) {
+    // not a JWT
+  }
+  return Infinity;
+}
+
+async function verifyImsToken(token, clientId) {
+  if (!clientId) throw new Error('Missing API_IMS_CLIENT_ID');
+  const res = await upstreamFetch('ims', `${IMS_BASE_URL}/ims/validate_token/v1`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ type: 'access_token', client_id: clientId, token }),
+    idempotent: true,
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('IMS validate_token', res.status, t);
+  }
+  if (!(await res.json()).valid) return null;
+  const profileRes = await upstreamFetch('ims', `${IMS_BASE_URL}/ims/profile/v1`, {
+    headers: { authorization: `Bearer ${token}` },
+  });
+  if (!profileRes.ok) {
+    const t = await profileRes.text();
+    throw upstreamError('IMS profile', profileRes.status, t);
+  }
+  const profile = await profileRes.json();
+  return { type: 'ims', id: profile.email || profile.userId, email: profile.email };
+}
+
+async function verifyAemToken(token) {
+  const profile = await getAemProfile(token);
+  return profile && { type: 'aem', id: profile.email, email: profile.email };
+}
+
+// The body as the client signed it; the platform may hand it over parsed
+function rawBodyOf(request) {
+  const raw = request?.body;
+  if (raw === undefined || raw === null) return '';
+  return typeof raw === 'string' ? raw : JSON.stringify(raw);
+}
+
+function verifySignature(request, { route, method, secrets }) {
+  const timestamp = String(headerOf(request, TIMESTAMP_HEADER) || '');
+  const signature = String(headerOf(request, SIGNATURE_HEADER) || '').replace(/^sha256=/, '');
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!/^\d+$/.test(timestamp) || !(age <= MAX_CLOCK_SKEW_SECS)) return false;
+  if (!/^[0-9a-f]{64}$/i.test(signature)) return false;
+  const given = Buffer.from(signature, 'hex');
+  const payload = `${timestamp}.${method}.${route}.${rawBodyOf(request)}`;
+  return secrets.some((secret) => (
+    timingSafeEqual(given, createHmac('sha256', secret).update(payload).digest())
+  ));
+}
+
+function callerMatches(caller, pattern) {
+  if (pattern === '*' || pattern === caller.type) return true;
+  return Boolean(caller.email) && globToRegExp(pattern).test(caller.email);
+}
+
+/**
+ * Builds the caller authentication of the api/ functions.
+ * @param {object} [options]
+ * @param {Array<string>} [options.methods] ims, aem and/or hmac; without
+ *   any, every request is rejected
+ * @param {boolean} [options.open] let every request pass without credentials
+ * @param {string} [options.imsClientId] client id IMS tokens must be issued to
+ * @param {Array<string>} [options.hmacSecrets] accepted HMAC secrets
+ * @param {Array<{route: string, callers: Array<string>, folders?: Array<string>}>}
+ *   [options.rules] authorization rules, see above
+ * @returns {{enabled: boolean,
+ *   authenticate: function(object, {route: string, method: string}): Promise<?object>,
+ *   authorize: function(?object, string, object=): Promise<void>}}
+ */
+export function createCallerAuth({
+  methods = [], open = false, imsClientId, hmacSecrets = [], rules = [],
+} = {}) {
+  const unknown = methods.find((m) => !METHODS.includes(m));
+  if (unknown) throw new Error(`Unknown API_AUTH method ${unknown}`);
+  if (methods.includes('hmac') && hmacSecrets.length === 0) throw new Error('Missing API_HMAC_SECRETS');
+  const bearerMethods = methods.filter((m) => m !== 'hmac');
+  const compiled = rules.map((rule) => ({
+    ...rule,
+    routeRegExp: globToRegExp(rule.route || '*'),
+  }));
+  const verified = createCache(TOKEN_CACHE_TTL_MS);
+  const ancestors = createCache(CACHE_TTL_MS);
+
+  const verifyBearer = (token) => bearerMethods.reduce(
+    (found, m) => found.then((caller) => {
+      if (caller) return caller;
+      return m === 'ims' ? verifyImsToken(token, imsClientId) : verifyAemToken(token);
+    }),
+    Promise.resolve(null),
+  );
+
+  async function callerOfToken(token) {
+    const key = createHash('sha256').update(token).digest('hex');
+    const cached = verified.get(key);
+    if (cached) return cached;
+    const caller = await verifyBearer(token);
+    if (caller) verified.set(key, caller, tokenExpiry(token));
+    return caller;
+  }
+
+  async function foldersOf(fileId) {
+    const cached = ancestors.get(fileId);
+    if (cached) return cached;
+    const folders = await getFolderAncestors(fileId);
+    ancestors.set(fileId, folders);
+    return folders;
+  }
+
+  /**
+   * Identifies the caller of a request.
+   * @returns {Promise<?{type: string, id: string, email?: string}>} the
+   *   caller, or null when authentication is turned off
+   * @throws 401 when the request carries no valid credentials
+   */
+  async function authenticate(request, { route, method }) {
+    if (open) return null;
+    if (methods.length === 0) throw httpError(401, 'Caller authentication is not configured');
+    const unauthorized = (message) => httpError(401, message, undefined, bearerMethods.length
+      ? { 'www-authenticate': 'Bearer' }
+      : {});
+    if (methods.includes('hmac') && headerOf(request, SIGNATURE_HEADER)) {
+      if (!verifySignature(request, { route, method, secrets: hmacSecrets })) {
+        throw unauthorized('Invalid or expired request signature');
+      }
+      return { type: 'hmac', id: 'hmac' };
+    }
+    const bearer = /^Bearer\s+(\S+)$/i.exec(String(headerOf(request, 'authorization') || ''));
+    if (!bearer || bearerMethods.length === 0) throw unauthorized('Missing credentials');
+    const caller = await callerOfToken(bearer[1]);
+    if (!caller) throw unauthorized('Invalid or expired token');
+    return caller;
+  }
+
+  /**
+   * Checks that the caller may use a route and, when given, a resource.
+   * @param {?object} caller as returned by authenticate()
+   * @param {string} route route name, e.g. "google/replace-image"
+   * @param {object} [resource]
+   * @param {string} [resource.googleFileId] Drive id of the file to be edited
+   * @throws 403 when no rule lets the caller in
+   */
+  async function authorize(caller, route, resource = {}) {
+    if (!caller) return;
+    const routeRules = compiled.filter((rule) => rule.routeRegExp.test(route));
+    if (routeRules.length === 0) return;
+    const granted = routeRules.filter((rule) => (rule.callers || [])
+      .some((pattern) => callerMatches(caller, pattern)));
+    if (granted.length === 0) throw httpError(403, `${caller.id} may not use ${route}`);
+    const { googleFileId } = resource;
+    if (!googleFileId || granted.some((rule) => !rule.folders)) return;
+    const folders = await foldersOf(googleFileId);
+    if (!granted.some((rule) => rule.folders.some((id) => folders.includes(id)))) {
+      throw httpError(403, `${caller.id} may not edit files outside the allowed folders`);
+    }
+  }
+
+  return { enabled: !open, authenticate, authorize };
+}
+
+function callerAuthFromEnv() {
+  const methods = listFromEnv(process.env.API_AUTH);
+  const open = methods.includes('none');
+  if (open && methods.length > 1) throw new Error('API_AUTH=none cannot be combined with methods');
+  let rules = [];
+  if (process.env.API_AUTH_RULES) {
+    rules = JSON.parse(process.env.API_AUTH_RULES);
+    if (!Array.isArray(rules)) throw new Error('API_AUTH_RULES must be a JSON list');
+  }
+  return createCallerAuth({
+    methods: open ? [] : methods,
+    open,
+    imsClientId: process.env.API_IMS_CLIENT_ID,
+    hmacSecrets: listFromEnv(process.env.API_HMAC_SECRETS),
+    rules,
+  });
+}
+
+let callerAuth = null;
+
+export function getCallerAuth() {
+  if (!callerAuth) callerAuth = callerAuthFromEnv();
+  return callerAuth;
+}
+
+export function setCallerAuth(next) {
+  callerAuth = next;
+}
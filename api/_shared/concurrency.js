@@ -0,0 +1,22 @@
+/**
+ * Maps items with an async function, running at most `limit` calls at a time.
+ * @param {Array} items
+ * @param {number} limit maximum number of concurrent calls
+ * @param {function(*, number): Promise<*>} fn called with item and index
+ * @returns {Promise<Array>} results in the order of items; rejects on the
+ *   first failure, so catch inside fn to keep going
+ */
+export default async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lane = async () => {
+    if (next >= items.length) return;
+    const index = next;
+    next += 1;
+    results[index] = await fn(items[index], index);
+    await lane();
+  };
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
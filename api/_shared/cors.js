@@ -1,31 +1,122 @@
-export function buildCorsHeaders(origin) {
-  const allowedOrigins = [
-    'http://localhost:3000',
-    'https://docs.google.com',
-    'https://docs.googleusercontent.com',
-  ];
+/*
+  CORS policy of the api/ functions. Only the site's own pages, the editors
+  the sidekick runs in and the sidekick extension may call them; requests
+  from other origins get 403 (see handler.js). Requests without an Origin
+  header (server to server, curl) are not subject to CORS and pass.
 
-  // allow *.aem.page and *.aem.live
-  const allowWildcard = (o) => (
-    /https:\/\/[^.]+--[^.]+--[^.]+\.aem\.page/.test(o)
-    || /https:\/\/[^.]+--[^.]+--[^.]+\.aem\.live/.test(o)
-  );
+  Env vars:
+    - CORS_ALLOWED_ORIGINS: comma-separated exact origins
+      (default: http://localhost:3000, https://docs.google.com,
+      https://docs.googleusercontent.com)
+    - CORS_ALLOWED_ORIGIN_PATTERNS: comma-separated origins where `*` stands
+      for one host label part, e.g. https://*--my-repo--my-org.aem.page
+      (default: the preview and live hosts of AEM_OWNER/AEM_REPO, which are
+      required when this is unset)
+    - CORS_EXTENSION_IDS: comma-separated browser extension ids allowed as
+      chrome-extension://<id> (default: the AEM Sidekick extension)
+    - CORS_ALLOW_CREDENTIALS: "true" to let browsers send cookies
+  The policy is read once; setCorsPolicy() replaces it, e.g. with one built
+  by createCorsPolicy() from a config file. Without a site to allow, every
+  request fails with 500 instead of guessing one; see "CORS" in README.md.
+*/
 
-  const isAllowed = origin && (allowedOrigins.includes(origin) || allowWildcard(origin));
-  const headers = {
-    'access-control-allow-methods': 'GET,POST,OPTIONS',
-    'access-control-allow-headers': 'content-type,authorization,x-api-key',
-    'access-control-max-age': '86400',
-  };
-  if (isAllowed) headers['access-control-allow-origin'] = origin;
-  return headers;
+const DEFAULT_ORIGINS = [
+  'http://localhost:3000',
+  'https://docs.google.com',
+  'https://docs.googleusercontent.com',
+];
+// AEM Sidekick in the Chrome Web Store
+const DEFAULT_EXTENSION_IDS = ['igkmdomcgoebiipaifhmpfjhbjccggml'];
+const ALLOW_HEADERS = 'content-type,authorization,x-api-key,x-google-access-token,x-request-id';
+const EXPOSE_HEADERS = 'x-request-id';
+const MAX_AGE_SECONDS = 86400;
+
+const listFromEnv = (value) => (value ? value.split(',').map((v) => v.trim()).filter(Boolean) : null);
+
+// `*` matches one branch, repo or owner name, never a dot or a slash
+function patternToRegExp(pattern) {
+  const source = pattern.split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('[^./]+');
+  return new RegExp(`^${source}$`, 'i');
 }
 
-export function handleOptions(request) {
-  const origin = request?.headers?.origin || request?.headers?.Origin;
-  const headers = buildCorsHeaders(origin);
+/**
+ * Builds a CORS policy.
+ * @param {object} [options]
+ * @param {Array<string>} [options.origins] exact origins
+ * @param {Array<string>} [options.patterns] origins with `*` wildcards
+ * @param {Array<string>} [options.extensionIds] browser extension ids
+ * @param {boolean} [options.credentials] send access-control-allow-credentials
+ * @returns {{isAllowed: function(string): boolean, credentials: boolean}}
+ */
+export function createCorsPolicy({
+  origins = [], patterns = [], extensionIds = [], credentials = false,
+} = {}) {
+  const exact = new Set([
+    ...origins,
+    ...extensionIds.map((id) => `chrome-extension://${id}`),
+  ]);
+  const regExps = patterns.map(patternToRegExp);
   return {
-    statusCode: 204,
-    headers,
+    isAllowed: (origin) => exact.has(origin) || regExps.some((re) => re.test(origin)),
+    credentials,
   };
 }
+
+// the site's own pages call the api/ functions
+function sitePatterns() {
+  const { AEM_OWNER: owner, AEM_REPO: repo } = process.env;
+  if (!owner || !repo) throw new Error('Missing AEM_OWNER or AEM_REPO');
+  return [
+    `https://*--${repo}--${owner}.aem.page`,
+    `https://*--${repo}--${owner}.aem.live`,
+  ];
+}
+
+function policyFromEnv() {
+  return createCorsPolicy({
+    origins: listFromEnv(process.env.CORS_ALLOWED_ORIGINS) || DEFAULT_ORIGINS,
+    patterns: listFromEnv(process.env.CORS_ALLOWED_ORIGIN_PATTERNS) || sitePatterns(),
+    extensionIds: listFromEnv(process.env.CORS_EXTENSION_IDS) || DEFAULT_EXTENSION_IDS,
+    credentials: process.env.CORS_ALLOW_CREDENTIALS === 'true',
+  });
+}
+
+let policy = null;
+
+export function getCorsPolicy() {
+  if (!policy) policy = policyFromEnv();
+  return policy;
+}
+
+export function setCorsPolicy(next) {
+  policy = next;
+}
+
+// Requests without an Origin header do not come from a cross-origin page
+export function isOriginAllowed(origin) {
+  return !origin || getCorsPolicy().isAllowed(origin);
+}
+
+/**
+ * CORS response headers for a request from `origin`.
+ * @param {string} [origin] Origin request header
+ * @param {object} [options]
+ * @param {Array<string>} [options.methods] methods of the route, besides OPTIONS
+ */
+export function buildCorsHeaders(origin, { methods = ['GET', 'POST'] } = {}) {
+  const headers = {
+    'access-control-allow-methods': [...methods, 'OPTIONS'].join(','),
+    'access-control-allow-headers': ALLOW_HEADERS,
+    'access-control-expose-headers': EXPOSE_HEADERS,
+    'access-control-max-age': String(MAX_AGE_SECONDS),
+    // the headers differ by origin, so caches must not share them
+    vary: 'Origin',
+  };
+  if (origin && getCorsPolicy().isAllowed(origin)) {
+    headers['access-control-allow-origin'] = origin;
+    if (getCorsPolicy().credentials) headers['access-control-allow-credentials'] = 'true';
+  }
+  return headers;
+}
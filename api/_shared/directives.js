@@ -0,0 +1,25 @@
+/*
+  Inline image briefs that authors leave in a document while drafting:
+    {{firefly: sunset beach, golden hour, 16:9}}
+  The text after `firefly:` is the prompt; a trailing size, either pixels
+  (2048x2048) or an aspect ratio (16:9), sets the size of the generated image.
+  Other commas belong to the prompt.
+*/
+import { parseSizeSpec } from './firefly.js';
+
+// Global, as it is used to find every directive of a text
+export const DIRECTIVE_PATTERN = /\{\{\s*firefly\s*:([^{}]*)\}\}/gi;
+
+/**
+ * Parses one directive.
+ * @param {string} text the whole directive, including the braces
+ * @returns {{prompt: string, size?: {width: number, height: number},
+ *   aspectRatio?: number}} parameters for buildGenerateRequest()
+ */
+export function parseDirective(text) {
+  const inner = /^\{\{\s*firefly\s*:([^{}]*)\}\}$/i.exec(String(text).trim())?.[1] ?? '';
+  const parts = inner.split(',').map((part) => part.trim());
+  const spec = parts.length > 1 ? parseSizeSpec(parts[parts.length - 1]) : {};
+  const promptParts = Object.keys(spec).length ? parts.slice(0, -1) : parts;
+  return { prompt: promptParts.filter(Boolean).join(', '), ...spec };
+}
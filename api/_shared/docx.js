@@ -0,0 +1,275 @@
+/*
+  Word (.docx) editing shared by the Microsoft endpoints. The OOXML package
+  is edited directly: word/document.xml, its relationships and
+  [Content_Types].xml. Only the main document part is searched, in document
+  order, so `targetIndex` counts the images of the body (including tables);
+  headers and footers are left alone.
+  A placeholder has to sit in a single text run. Word splits runs at
+  formatting, spell-check or revision boundaries, so a placeholder typed in
+  several goes may not be found; retype it in one go.
+*/
+import { httpError } from './errors.js';
+import { fitObjectSize } from './image-fit.js';
+import { readZip, writeZip } from './zip.js';
+
+const DOCUMENT_PART = 'word/document.xml';
+const RELS_PART = 'word/_rels/document.xml.rels';
+const CONTENT_TYPES_PART = '[Content_Types].xml';
+const IMAGE_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+const NAMESPACES = {
+  wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+};
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/gif': 'gif',
+};
+const EMU_PER_PT = 12700;
+const DEFAULT_SIZE_PT = 200;
+
+const DRAWING = /<w:drawing>[\s\S]*?<\/w:drawing>/g;
+const RUN = /<w:r(?:\s[^>]*)?>[\s\S]*?<\/w:r>/g;
+const TEXT = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/;
+
+const escapeXml = (s) => s
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (s) => s
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const toEmu = (pt) => Math.round(pt * EMU_PER_PT);
+
+/**
+ * Lists the pictures of word/document.xml in document order.
+ * @param {string} xml content of word/document.xml
+ * @returns {Array<{start: number, end: number, rId: string,
+ *   size: ?{width: number, height: number}}>} offsets into xml, size in pt
+ */
+export function findWordImages(xml) {
+  return [...xml.matchAll(DRAWING)].flatMap((m) => {
+    const embed = /r:embed="([^"]+)"/.exec(m[0]);
+    if (!embed) return [];
+    const extent = /<wp:extent cx="(\d+)" cy="(\d+)"/.exec(m[0]);
+    return [{
+      start: m.index,
+      end: m.index + m[0].length,
+      rId: embed[1],
+      size: extent
+        ? { width: Number(extent[1]) / EMU_PER_PT, height: Number(extent[2]) / EMU_PER_PT }
+        : null,
+    }];
+  });
+}
+
+/**
+ * Lists the text runs containing `text`.
+ * @returns {Array<{start: number, end: number, count: number}>} offsets
+ *   into xml and the number of occurrences in the run
+ */
+export function findWordText(xml, text) {
+  if (!text) return [];
+  return [...xml.matchAll(RUN)].flatMap((m) => {
+    const t = TEXT.exec(m[0]);
+    const count = t ? unescapeXml(t[1]).split(text).length - 1 : 0;
+    return count ? [{ start: m.index, end: m.index + m[0].length, count }] : [];
+  });
+}
+
+// Width and height in pixels of PNG and JPEG images, null for other formats
+export function imagePixelSize(bytes) {
+  const buf = Buffer.from(bytes);
+  if (buf.length > 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.length > 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    let i = 2;
+    while (i + 9 < buf.length && buf[i] === 0xff) {
+      const marker = buf[i + 1];
+      // start of frame markers, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+      }
+      i += 2 + buf.readUInt16BE(i + 2);
+    }
+  }
+  return null;
+}
+
+function drawingRun({
+  rId, id, cx, cy, altText,
+}) {
+  const descr = altText ? ` descr="${escapeXml(altText)}"` : '';
+  return '<w:r><w:drawing>'
+    + '<wp:inline distT="0" distB="0" distL="0" distR="0">'
+    + `<wp:extent cx="${cx}" cy="${cy}"/>`
+    + `<wp:docPr id="${id}" name="Firefly image ${id}"${descr}/>`
+    + '<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" noChangeAspect="1"/></wp:cNvGraphicFramePr>'
+    + '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">'
+    + '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">'
+    + '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">'
+    + `<pic:nvPicPr><pic:cNvPr id="${id}" name="firefly-${id}"/><pic:cNvPicPr/></pic:nvPicPr>`
+    + `<pic:blipFill><a:blip r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`
+    + `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>`
+    + '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>'
+    + '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+}
+
+// Splits a run around each occurrence of `text` and puts a drawing run there
+function splitRun(run, text, drawings) {
+  const open = /^<w:r(?:\s[^>]*)?>/.exec(run)[0];
+  const body = run.slice(open.length, run.length - '</w:r>'.length);
+  const rPr = body.startsWith('<w:rPr') ? /^<w:rPr>[\s\S]*?<\/w:rPr>/.exec(body)?.[0] || '' : '';
+  const rest = body.slice(rPr.length);
+  const t = TEXT.exec(rest);
+  const pre = rest.slice(0, t.index);
+  const post = rest.slice(t.index + t[0].length);
+
+  const parts = unescapeXml(t[1]).split(text);
+  return parts.map((part, i) => {
+    const head = i === 0 ? pre : '';
+    const tail = i === parts.length - 1 ? post : '';
+    const textEl = part ? `<w:t xml:space="preserve">${escapeXml(part)}</w:t>` : '';
+    const content = `${head}${textEl}${tail}`;
+    const segment = content ? `${open}${rPr}${content}</w:r>` : '';
+    return i === 0 ? segment : `${drawings.shift()}${segment}`;
+  }).join('');
+}
+
+// Replaces [start, end) ranges of xml, which must not overlap
+function spliceAll(xml, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((out, { start, end, text }) => out.slice(0, start) + text + out.slice(end), xml);
+}
+
+function ensureNamespaces(xml) {
+  return xml.replace(/<w:document\b[^>]*>/, (tag) => Object.entries(NAMESPACES)
+    .filter(([prefix]) => !tag.includes(`xmlns:${prefix}=`))
+    .reduce((t, [prefix, uri]) => t.replace(/>$/, ` xmlns:${prefix}="${uri}">`), tag));
+}
+
+// Adds the image part, its relationship and content type; returns the relationship id
+function addImagePart(entries, image) {
+  const ext = EXTENSIONS[image.contentType];
+  if (!ext) throw httpError(422, `Unsupported image type for Word: ${image.contentType}`);
+  const names = new Set(entries.map((e) => e.name));
+  const rels = entries.find((e) => e.name === RELS_PART);
+  const relsXml = rels.data.toString('utf8');
+  let n = 1;
+  while (names.has(`word/media/firefly-${n}.${ext}`) || relsXml.includes(`Id="rIdFirefly${n}"`)) n += 1;
+
+  const rId = `rIdFirefly${n}`;
+  entries.push({ name: `word/media/firefly-${n}.${ext}`, data: Buffer.from(image.bytes) });
+  rels.data = Buffer.from(relsXml.replace(
+    '</Relationships>',
+    `<Relationship Id="${rId}" Type="${IMAGE_REL_TYPE}" Target="media/firefly-${n}.${ext}"/></Relationships>`,
+  ));
+
+  const types = entries.find((e) => e.name === CONTENT_TYPES_PART);
+  const typesXml = types.data.toString('utf8');
+  if (!new RegExp(`<Default Extension="${ext}"`, 'i').test(typesXml)) {
+    types.data = Buffer.from(typesXml.replace(
+      '</Types>',
+      `<Default Extension="${ext}" ContentType="${image.contentType}"/></Types>`,
+    ));
+  }
+  return rId;
+}
+
+// Sets the alt text (descr) of an existing drawing
+function setAltText(drawing, altText) {
+  return drawing.replace(/<wp:docPr\b([^>]*?)(\/?)>/, (tag, attrs, selfClosing) => {
+    const rest = attrs.replace(/\sdescr="[^"]*"/, '');
+    return `<wp:docPr${rest} descr="${escapeXml(altText)}"${selfClosing}>`;
+  });
+}
+
+function nextDrawingId(xml) {
+  const ids = [...xml.matchAll(/<(?:wp:docPr|pic:cNvPr) id="(\d+)"/g)].map((m) => Number(m[1]));
+  return Math.max(0, ...ids) + 1;
+}
+
+/**
+ * Replaces the nth image, the placeholders or, as a fallback, the first image
+ * of a .docx package, like the Google Docs endpoint does.
+ * @param {Buffer} docx package bytes
+ * @param {object} options
+ * @param {string} [options.placeholder] text to replace with the image
+ * @param {number} [options.targetIndex] index of the image to replace
+ * @param {{bytes: Buffer, contentType: string}} [options.image] the new
+ *   image; without it the replacement is only planned
+ * @param {{width: number, height: number}} [options.imageSize] pixel size of
+ *   the new image, read from its bytes when missing
+ * @param {string} [options.fit] contain | cover | keep-width
+ * @param {string} [options.altText] alt text (descr) of the new image
+ * @returns {{mode?: string, planned: Array<object>, docx?: Buffer}}
+ */
+export function replaceImageInDocx(docx, {
+  placeholder, targetIndex, image, imageSize, fit = 'contain', altText,
+}) {
+  const entries = readZip(docx);
+  const documentPart = entries.find((e) => e.name === DOCUMENT_PART);
+  if (!documentPart) throw httpError(422, 'Not a Word document: word/document.xml is missing');
+  const xml = documentPart.data.toString('utf8');
+  const images = findWordImages(xml);
+  const runs = findWordText(xml, placeholder);
+
+  let mode = 'placeholder';
+  let targets = runs;
+  if (typeof targetIndex === 'number' && images[targetIndex]) {
+    mode = 'nth-image';
+    targets = [images[targetIndex]];
+  } else if (runs.length === 0 && typeof targetIndex !== 'number') {
+    mode = 'first-image';
+    targets = images.slice(0, 1);
+  }
+  if (targets.length === 0) return { planned: [] };
+
+  const planned = mode === 'placeholder'
+    ? runs.flatMap((run) => Array(run.count).fill({ kind: 'text', text: placeholder }))
+    : targets.map((target) => ({
+      kind: 'image',
+      index: images.indexOf(target),
+      currentSize: target.size || undefined,
+    }));
+  if (!image) return { mode, planned };
+
+  const pixels = imageSize?.width && imageSize?.height ? imageSize : imagePixelSize(image.bytes);
+  const rId = addImagePart(entries, image);
+  let id = nextDrawingId(xml);
+  const edits = targets.map((target) => {
+    const current = xml.slice(target.start, target.end);
+    if (mode !== 'placeholder') {
+      const box = target.size || { width: DEFAULT_SIZE_PT, height: DEFAULT_SIZE_PT };
+      const size = fitObjectSize(box, pixels, fit);
+      const cx = toEmu(size.width);
+      const cy = toEmu(size.height);
+      const replaced = current
+        .replace(/r:embed="[^"]+"/, `r:embed="${rId}"`)
+        .replace(/<wp:extent cx="\d+" cy="\d+"/, `<wp:extent cx="${cx}" cy="${cy}"`)
+        .replace(/<a:ext cx="\d+" cy="\d+"/, `<a:ext cx="${cx}" cy="${cy}"`);
+      return { ...target, text: altText ? setAltText(replaced, altText) : replaced };
+    }
+    const size = fitObjectSize(
+      { width: DEFAULT_SIZE_PT, height: DEFAULT_SIZE_PT },
+      pixels,
+      'keep-width',
+    );
+    const drawings = Array.from({ length: target.count }, (_, k) => drawingRun({
+      rId, id: id + k, cx: toEmu(size.width), cy: toEmu(size.height), altText,
+    }));
+    id += target.count;
+    return { ...target, text: splitRun(current, placeholder, drawings) };
+  });
+
+  documentPart.data = Buffer.from(ensureNamespaces(spliceAll(xml, edits)));
+  return { mode, planned, docx: writeZip(entries) };
+}
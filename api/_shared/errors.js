@@ -0,0 +1,66 @@
+/*
+  Errors that carry the HTTP response they should turn into; see handler.js
+  for the `{ error: { code, message, requestId } }` envelope they end up in.
+    - httpError(): a problem with the request itself (400, 404, 409, ...)
+    - upstreamError(): a failed call to Firefly, Google, Microsoft or AEM,
+      answered according to the upstream status (see upstreamResponseStatus)
+*/
+
+// Error code sent for a status when the thrower does not name one
+export const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  504: 'upstream_timeout',
+};
+
+/**
+ * @param {number} statusCode response status
+ * @param {string} message shown to the caller
+ * @param {string} [code] machine-readable code, ERROR_CODES[statusCode] by default
+ * @param {object} [headers] extra response headers, e.g. allow or retry-after
+ */
+export function httpError(statusCode, message, code = ERROR_CODES[statusCode], headers = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Error of an upstream API call. The message keeps the historic
+ * "<service> error <status>: <detail>" form.
+ * @param {string} service e.g. "Firefly" or "Docs batchUpdate"
+ * @param {number} status upstream HTTP status
+ * @param {string} detail upstream response text
+ */
+export function upstreamError(service, status, detail) {
+  const error = new Error(`${service} error ${status}: ${detail}`);
+  error.upstream = { service, status };
+  return error;
+}
+
+/**
+ * Status and code the caller gets for a failed upstream call: what the caller
+ * can act on (a rejected prompt, a document it cannot see or that is gone,
+ * rate limits) is passed on, the rest is a 502 because it is ours to fix.
+ * @returns {{statusCode: number, code: string}}
+ */
+export function upstreamResponseStatus(status) {
+  if (status === 400 || status === 422) return { statusCode: 422, code: 'upstream_rejected' };
+  if (status === 403) return { statusCode: 403, code: 'upstream_forbidden' };
+  if (status === 404) return { statusCode: 404, code: 'upstream_not_found' };
+  if (status === 409 || status === 412) return { statusCode: 409, code: 'conflict' };
+  if (status === 429) return { statusCode: 429, code: 'upstream_rate_limited' };
+  if (status === 504) return { statusCode: 504, code: ERROR_CODES[504] };
+  return { statusCode: 502, code: ERROR_CODES[502] };
+}
@@ -0,0 +1,469 @@
+/*
+  Firefly API client shared by the api/firefly functions.
+  Required env vars:
+    - FIREFLY_CLIENT_ID: IMS client id (also sent as x-api-key)
+    - FIREFLY_CLIENT_SECRET: IMS client secret
+*/
+import { upstreamError } from './errors.js';
+import { downloadImage } from './image-storage.js';
+import { fetchWithToken, tokenKey } from './token-cache.js';
+import { upstreamFetch } from './upstream.js';
+
+const TOKEN_URL = 'https://ims-na1.adobelogin.com/ims/token/v3';
+const GENERATE_URL = 'https://firefly-api.adobe.io/v3/images/generate';
+const GENERATE_ASYNC_URL = 'https://firefly-api.adobe.io/v3/images/generate-async';
+const EXPAND_URL = 'https://firefly-api.adobe.io/v3/images/expand';
+const FILL_URL = 'https://firefly-api.adobe.io/v3/images/fill';
+const UPLOAD_URL = 'https://firefly-api.adobe.io/v2/storage/image';
+// synchronous generations take a while, but must end before the sidekick gives up
+const GENERATE_TIMEOUT_MS = 90 * 1000;
+const IMS_SCOPE = 'openid,AdobeID,session,additional_info,read_organizations,firefly_api,ff_apis';
+
+async function requestAccessToken(clientId, clientSecret) {
+  const body = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: clientId,
+    client_secret: clientSecret,
+    scope: IMS_SCOPE,
+  });
+
+  const res = await upstreamFetch('ims', TOKEN_URL, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body,
+    idempotent: true,
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('IMS token', res.status, t);
+  }
+  return res.json();
+}
+
+// Runs `call` with a cached IMS token, minting a new one when needed
+async function withAccessToken(call) {
+  const clientId = process.env.FIREFLY_CLIENT_ID;
+  const clientSecret = process.env.FIREFLY_CLIENT_SECRET;
+  if (!clientId || !clientSecret) {
+    throw new Error('Missing FIREFLY_CLIENT_ID or FIREFLY_CLIENT_SECRET');
+  }
+  return fetchWithToken(
+    tokenKey(`ims:${clientId}`, IMS_SCOPE),
+    () => requestAccessToken(clientId, clientSecret),
+    call,
+  );
+}
+
+// Sizes accepted by the Firefly Image 3 model
+const SUPPORTED_SIZES = [
+  { width: 1024, height: 1024 },
+  { width: 2048, height: 2048 },
+  { width: 2304, height: 1792 },
+  { width: 1792, height: 2304 },
+  { width: 2688, height: 1536 },
+  { width: 1344, height: 768 },
+  { width: 1152, height: 896 },
+  { width: 896, height: 1152 },
+];
+const DEFAULT_SIZE = SUPPORTED_SIZES[0];
+// widest supported ratio (16:9), the usual target when extending hero images
+const DEFAULT_EXPAND_SIZE = { width: 2688, height: 1536 };
+const REFERENCE_TYPES = ['style', 'structure'];
+const DEFAULT_REFERENCE_STRENGTH = 50;
+const ALIGNMENTS = {
+  horizontal: ['left', 'center', 'right'],
+  vertical: ['top', 'center', 'bottom'],
+};
+const CONTENT_CLASSES = ['photo', 'art'];
+const STYLE_PRESETS = [
+  'photo', 'art', 'graphic', 'bw', 'cool_colors', 'golden', 'monochromatic', 'muted_color',
+  'pastel_color', 'toned_image', 'vibrant_colors', 'warm_tone', 'closeup', 'knolling',
+  'landscape_photography', 'macrophotography', 'photographed_through_window',
+  'shallow_depth_of_field', 'shot_from_above', 'shot_from_below', 'surface_detail', 'wide_angle',
+  'beautiful', 'bohemian', 'chaotic', 'dais', 'divine', 'eclectic', 'futuristic', 'kitschy',
+  'nostalgic', 'simple', 'antique_photo', 'bioluminescent', 'bokeh', 'color_explosion', 'dark',
+  'faded_image', 'fisheye', 'gomori_photography', 'grainy_film', 'iridescent', 'isometric',
+  'misty', 'neon', 'otherworldly_depiction', 'ultraviolet', 'underwater', 'backlighting',
+  'dramatic_light', 'golden_hour', 'harsh_light', 'long_time_exposure', 'low_lighting',
+  'multiexposure', 'studio_light', 'surreal_lighting', '3d_patterns', 'charcoal', 'claymation',
+  'fabric', 'fur', 'guilloche_patterns', 'layered_paper', 'marble', 'metal', 'origami',
+  'paint_on_paper', 'plastic_bags', 'scribble_texture', 'scratch_art', 'stone', 'wood',
+  'concept_art', 'cartoon', 'digital_art', 'doodle_drawing', 'double_exposure', 'fantasy',
+  'geometric', 'graffiti', 'line_drawing', 'minimalism', 'pop_art', 'psychedelic',
+  'steampunk', 'watercolor', 'pencil_drawing', 'pixel_art', 'photorealistic',
+];
+const MAX_VARIATIONS = 4;
+const MAX_PROMPT_LENGTH = 1024;
+const MAX_SEED = 100000;
+
+const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+/**
+ * Picks the supported size whose aspect ratio is closest to `aspectRatio`,
+ * so generated images match the box of the image they replace.
+ * @param {number} aspectRatio width / height
+ * @returns {{width: number, height: number}}
+ */
+export function closestSupportedSize(aspectRatio) {
+  const distance = (s) => Math.abs(Math.log((s.width / s.height) / aspectRatio));
+  return SUPPORTED_SIZES.reduce((best, s) => (distance(s) < distance(best) ? s : best));
+}
+
+/**
+ * Reads a size written by an author, as in a spreadsheet cell or an inline
+ * directive: "2048x2048" (pixels) or "16:9" (aspect ratio).
+ * @param {string} text
+ * @returns {{size?: {width: number, height: number}, aspectRatio?: number}}
+ *   empty when text is blank or not a size
+ */
+export function parseSizeSpec(text) {
+  const value = String(text ?? '').trim();
+  const pixels = /^(\d+)\s*[x×]\s*(\d+)$/i.exec(value);
+  if (pixels) return { size: { width: Number(pixels[1]), height: Number(pixels[2]) } };
+  const ratio = /^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/.exec(value);
+  if (ratio && Number(ratio[2]) > 0) return { aspectRatio: Number(ratio[1]) / Number(ratio[2]) };
+  return {};
+}
+
+// Shape of the body fields shared by generate, similar, expand and fill, for
+// the endpoint schemas (see schema.js); build*Request() checks the values
+export const IMAGE_REQUEST_PROPERTIES = {
+  prompt: { type: 'string' },
+  negativePrompt: { type: 'string' },
+  aspectRatio: { type: 'number' },
+  size: {
+    type: 'object',
+    properties: { width: { type: 'integer' }, height: { type: 'integer' } },
+  },
+  numVariations: { type: 'integer' },
+  seeds: { type: 'array', items: { type: 'integer' } },
+};
+
+const isHttpUrl = (v) => typeof v === 'string' && /^https?:\/\//.test(v);
+
+// Validates the parameters shared by generate, expand and fill
+function buildBaseRequest(body, { promptRequired = true, defaultSize } = {}) {
+  const {
+    prompt,
+    aspectRatio,
+    numVariations,
+    seeds,
+    negativePrompt,
+  } = body;
+  if (aspectRatio !== undefined && !(Number(aspectRatio) > 0)) {
+    return { error: 'aspectRatio must be a positive number (width / height)' };
+  }
+  const size = body.size ?? (aspectRatio ? closestSupportedSize(Number(aspectRatio)) : defaultSize);
+
+  if (prompt === undefined || prompt === '') {
+    if (promptRequired) return { error: 'Missing prompt' };
+  } else if (typeof prompt !== 'string' || prompt.length > MAX_PROMPT_LENGTH) {
+    return { error: `prompt must be a string of at most ${MAX_PROMPT_LENGTH} characters` };
+  }
+  const reqBody = prompt ? { prompt } : {};
+
+  if (size !== undefined) {
+    const width = Number(size?.width);
+    const height = Number(size?.height);
+    if (!SUPPORTED_SIZES.some((s) => s.width === width && s.height === height)) {
+      const list = SUPPORTED_SIZES.map((s) => `${s.width}x${s.height}`).join(', ');
+      return { error: `Unsupported size ${size?.width}x${size?.height}; supported: ${list}` };
+    }
+    reqBody.size = { width, height };
+  }
+
+  if (numVariations !== undefined) {
+    if (!isInt(numVariations, 1, MAX_VARIATIONS)) {
+      return { error: `numVariations must be an integer between 1 and ${MAX_VARIATIONS}` };
+    }
+    reqBody.numVariations = numVariations;
+  }
+  if (seeds !== undefined) {
+    if (!Array.isArray(seeds) || seeds.length === 0 || !seeds.every((s) => isInt(s, 0, MAX_SEED))) {
+      return { error: `seeds must be a non-empty array of integers between 0 and ${MAX_SEED}` };
+    }
+    if (seeds.length !== (numVariations ?? seeds.length)) {
+      return { error: 'seeds must have one entry per variation' };
+    }
+    reqBody.seeds = seeds;
+  }
+  if (negativePrompt !== undefined) {
+    if (typeof negativePrompt !== 'string' || negativePrompt.length > MAX_PROMPT_LENGTH) {
+      return { error: `negativePrompt must be a string of at most ${MAX_PROMPT_LENGTH} characters` };
+    }
+    reqBody.negativePrompt = negativePrompt;
+  }
+  return { reqBody };
+}
+
+/**
+ * Validates the request body and maps it to a Firefly generate request.
+ * @param {object} body parsed request body
+ * @returns {{error: string}|{reqBody: object}}
+ */
+export function buildGenerateRequest(body) {
+  const {
+    contentClass,
+    stylePresets,
+    visualIntensity,
+    locale,
+  } = body;
+
+  const { error, reqBody } = buildBaseRequest(body, { defaultSize: DEFAULT_SIZE });
+  if (error) return { error };
+
+  if (contentClass !== undefined) {
+    if (!CONTENT_CLASSES.includes(contentClass)) {
+      return { error: `contentClass must be one of: ${CONTENT_CLASSES.join(', ')}` };
+    }
+    reqBody.contentClass = contentClass;
+  }
+  if (stylePresets !== undefined) {
+    const unknown = [].concat(stylePresets).filter((p) => !STYLE_PRESETS.includes(p));
+    if (unknown.length) return { error: `Unknown style presets: ${unknown.join(', ')}` };
+    reqBody.style = { presets: [].concat(stylePresets) };
+  }
+  if (visualIntensity !== undefined) {
+    if (!isInt(visualIntensity, 2, 10)) {
+      return { error: 'visualIntensity must be an integer between 2 and 10' };
+    }
+    reqBody.visualIntensity = visualIntensity;
+  }
+  if (locale !== undefined) {
+    if (!/^[a-z]{2}-[A-Z]{2}$/.test(String(locale))) {
+      return { error: 'locale must be a language-region code such as en-US' };
+    }
+    reqBody.promptBiasingLocaleCode = locale;
+  }
+  return { reqBody };
+}
+
+/**
+ * Validates the request body of an image-to-image generation that uses an
+ * existing image as style or structure reference.
+ * @param {object} body generate parameters plus referenceUrl,
+ *   referenceType (style | structure) and referenceStrength (0-100)
+ * @returns {{error: string}|{reqBody: object, reference: object}}
+ */
+export function buildSimilarRequest(body) {
+  const {
+    referenceUrl,
+    referenceType = 'style',
+    referenceStrength = DEFAULT_REFERENCE_STRENGTH,
+  } = body;
+  if (!isHttpUrl(referenceUrl)) return { error: 'Missing or invalid referenceUrl' };
+  if (!REFERENCE_TYPES.includes(referenceType)) {
+    return { error: `referenceType must be one of: ${REFERENCE_TYPES.join(', ')}` };
+  }
+  if (!isInt(referenceStrength, 0, 100)) {
+    return { error: 'referenceStrength must be an integer between 0 and 100' };
+  }
+
+  const { error, reqBody } = buildGenerateRequest(body);
+  if (error) return { error };
+  return {
+    reqBody,
+    reference: { url: referenceUrl, type: referenceType, strength: referenceStrength },
+  };
+}
+
+/**
+ * Validates the request body of a generative expand.
+ * @param {object} body parsed request body with imageUrl, optional maskUrl,
+ *   size (target size, defaults to 16:9) and alignment { horizontal, vertical }
+ * @returns {{error: string}|{reqBody: object, sources: object}}
+ */
+export function buildExpandRequest(body) {
+  const { imageUrl, maskUrl, alignment } = body;
+  if (!isHttpUrl(imageUrl)) return { error: 'Missing or invalid imageUrl' };
+  if (maskUrl !== undefined && !isHttpUrl(maskUrl)) return { error: 'Invalid maskUrl' };
+
+  const { error, reqBody } = buildBaseRequest(body, {
+    promptRequired: false,
+    defaultSize: DEFAULT_EXPAND_SIZE,
+  });
+  if (error) return { error };
+
+  if (alignment !== undefined) {
+    const { horizontal = 'center', vertical = 'center' } = alignment || {};
+    if (!ALIGNMENTS.horizontal.includes(horizontal) || !ALIGNMENTS.vertical.includes(vertical)) {
+      return { error: 'alignment must be { horizontal: left|center|right, vertical: top|center|bottom }' };
+    }
+    reqBody.placement = { alignment: { horizontal, vertical } };
+  }
+  return { reqBody, sources: { imageUrl, maskUrl } };
+}
+
+/**
+ * Validates the request body of a generative fill.
+ * @param {object} body parsed request body with imageUrl, maskUrl
+ *   (white marks the area to repaint) and prompt
+ * @returns {{error: string}|{reqBody: object, sources: object}}
+ */
+export function buildFillRequest(body) {
+  const { imageUrl, maskUrl } = body;
+  if (!isHttpUrl(imageUrl)) return { error: 'Missing or invalid imageUrl' };
+  if (!isHttpUrl(maskUrl)) return { error: 'Missing or invalid maskUrl' };
+
+  const { error, reqBody } = buildBaseRequest(body, { promptRequired: false });
+  if (error) return { error };
+  return { reqBody, sources: { imageUrl, maskUrl } };
+}
+
+// Flattens Firefly outputs into [{ url, seed, width, height }]
+export function normalizeOutputs(data) {
+  const { width, height } = data?.size || {};
+  return (data?.outputs || [])
+    .filter((o) => o?.image?.url)
+    .map((o) => ({
+      url: o.image.url,
+      seed: o.seed,
+      width,
+      height,
+    }));
+}
+
+// fetch() against the Firefly API with IMS auth and API key headers
+function fireflyFetch(url, options = {}) {
+  const clientId = process.env.FIREFLY_CLIENT_ID;
+  return withAccessToken((accessToken) => upstreamFetch('firefly', url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      authorization: `Bearer ${accessToken}`,
+      'x-api-key': clientId,
+      accept: 'application/json',
+    },
+  }));
+}
+
+async function postImageOperation(url, reqBody) {
+  const res = await fireflyFetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(reqBody),
+    timeoutMs: GENERATE_TIMEOUT_MS,
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Firefly', res.status, t);
+  }
+  const data = await res.json();
+  const images = normalizeOutputs(data);
+
+  return { data, images, imageUrl: images[0]?.url || null };
+}
+
+export function generateImage(reqBody) {
+  return postImageOperation(GENERATE_URL, reqBody);
+}
+
+/**
+ * Downloads an image and uploads it to Firefly storage.
+ * @param {string} imageUrl publicly readable image URL on an allowed host,
+ *   see image-storage.js
+ * @returns {Promise<string>} the Firefly upload id
+ */
+export async function uploadImageFromUrl(imageUrl) {
+  const { bytes, contentType } = await downloadImage(imageUrl);
+
+  const res = await fireflyFetch(UPLOAD_URL, {
+    method: 'POST',
+    headers: { 'content-type': contentType },
+    body: bytes,
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Firefly upload', res.status, t);
+  }
+  const data = await res.json();
+  const uploadId = data?.images?.[0]?.id;
+  if (!uploadId) throw new Error('Firefly upload returned no image id');
+  return uploadId;
+}
+
+export async function generateSimilarImage(reqBody, { url, type, strength }) {
+  const uploadId = await uploadImageFromUrl(url);
+  const reference = { imageReference: { source: { uploadId } }, strength };
+  return postImageOperation(GENERATE_URL, {
+    ...reqBody,
+    [type]: { ...reqBody[type], ...reference },
+  });
+}
+
+export async function expandImage(reqBody, { imageUrl, maskUrl }) {
+  const [imageId, maskId] = await Promise.all([
+    uploadImageFromUrl(imageUrl),
+    maskUrl ? uploadImageFromUrl(maskUrl) : null,
+  ]);
+  const image = { source: { uploadId: imageId } };
+  if (maskId) image.mask = { source: { uploadId: maskId } };
+  return postImageOperation(EXPAND_URL, { ...reqBody, image });
+}
+
+export async function fillImage(reqBody, { imageUrl, maskUrl }) {
+  const [imageId, maskId] = await Promise.all([
+    uploadImageFromUrl(imageUrl),
+    uploadImageFromUrl(maskUrl),
+  ]);
+  return postImageOperation(FILL_URL, {
+    ...reqBody,
+    image: {
+      source: { uploadId: imageId },
+      mask: { source: { uploadId: maskId } },
+    },
+  });
+}
+
+/**
+ * Submits a generation to the Firefly async API.
+ * @param {object} reqBody see buildGenerateRequest()
+ * @returns {Promise<{jobId: string, statusUrl: string}|null>} null when
+ *   the async API is not available for these credentials
+ */
+export async function submitGenerateJob(reqBody) {
+  const res = await fireflyFetch(GENERATE_ASYNC_URL, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(reqBody),
+  });
+  if (res.status === 404 || res.status === 405 || res.status === 501) return null;
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Firefly', res.status, t);
+  }
+  const { jobId, statusUrl } = await res.json();
+  return { jobId, statusUrl };
+}
+
+const ASYNC_STATUS = {
+  not_started: 'queued',
+  pending: 'queued',
+  queued: 'queued',
+  running: 'running',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  cancelled: 'failed',
+  cancel_pending: 'failed',
+  timeout: 'failed',
+};
+
+/**
+ * Reads the state of a Firefly async job.
+ * @param {string} statusUrl as returned by submitGenerateJob()
+ * @returns {Promise<{status: string, progress?: number, images?: Array, error?: string}>}
+ */
+export async function getGenerateJobStatus(statusUrl) {
+  const res = await fireflyFetch(statusUrl);
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Firefly status', res.status, t);
+  }
+  const data = await res.json();
+  const status = ASYNC_STATUS[data?.status] || 'running';
+  const job = { status };
+  if (typeof data?.progress === 'number') job.progress = data.progress;
+  if (status === 'succeeded') job.images = normalizeOutputs(data.result);
+  if (status === 'failed') job.error = data?.error_code || data?.message || data?.status;
+  return job;
+}
@@ -0,0 +1,170 @@
+/*
+  Google API access for the api/ functions.
+  Auth model: Service Account with Domain-Wide Delegation recommended, or the
+  end user's own OAuth access token forwarded by the sidekick in the
+  x-google-access-token header. With a user token, edits are made with the
+  author's permissions and show up under their name in revision history.
+
+  Env vars:
+    - GOOGLE_SA_EMAIL: service account email
+    - GOOGLE_SA_PRIVATE_KEY: service account private key (\n preserved)
+    - GOOGLE_DELEGATED_USER: user email to impersonate (if DWD)
+    - GOOGLE_AUTH_MODE: service-account | user | either (default:
+      service-account). `user` requires a user token on every request,
+      `either` uses one when it is sent and the service account otherwise.
+  Image storage always uploads with the service account, see image-storage.js.
+*/
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { upstreamError } from './errors.js';
+import { fetchWithToken, tokenKey } from './token-cache.js';
+import { upstreamFetch } from './upstream.js';
+
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_TOKENINFO_URL = 'https://oauth2.googleapis.com/tokeninfo';
+const AUTH_MODES = ['service-account', 'user', 'either'];
+export const GOOGLE_USER_TOKEN_HEADER = 'x-google-access-token';
+
+// A user token grants access to an editor type with any of these scopes
+const USER_SCOPES = {
+  docs: ['https://www.googleapis.com/auth/documents', 'https://www.googleapis.com/auth/drive'],
+  sheets: ['https://www.googleapis.com/auth/spreadsheets', 'https://www.googleapis.com/auth/drive'],
+  slides: ['https://www.googleapis.com/auth/presentations', 'https://www.googleapis.com/auth/drive'],
+};
+
+// user access token of the request being handled, see withGoogleUserToken()
+const userToken = new AsyncLocalStorage();
+export const GOOGLE_SCOPES = [
+  'https://www.googleapis.com/auth/drive',
+  'https://www.googleapis.com/auth/documents',
+];
+
+function nowEpochSecs() { return Math.floor(Date.now() / 1000); }
+
+function base64url(input) {
+  return Buffer.from(input)
+    .toString('base64')
+    .replace(/=/g, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+async function signJwt(header, claimSet, privateKeyPem) {
+  const crypto = await import('node:crypto');
+  const encHeader = base64url(JSON.stringify(header));
+  const encClaim = base64url(JSON.stringify(claimSet));
+  const unsigned = `${encHeader}.${encClaim}`;
+  const signer = crypto.createSign('RSA-SHA256');
+  signer.update(unsigned);
+  const signature = signer.sign(privateKeyPem, 'base64')
+    .replace(/=/g, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+  return `${unsigned}.${signature}`;
+}
+async function requestGoogleAccessToken(saEmail, saKey, delegatedUser, scopes) {
+  const iat = nowEpochSecs();
+  const exp = iat + 3600;
+  const header = { alg: 'RS256', typ: 'JWT' };
+  const claim = {
+    iss: saEmail,
+    sub: delegatedUser || saEmail,
+    scope: Array.isArray(scopes) ? scopes.join(' ') : scopes,
+    aud: GOOGLE_TOKEN_URL,
+    exp,
+    iat,
+  };
+  const jwt = await signJwt(header, claim, saKey);
+  const params = new URLSearchParams({
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion: jwt,
+  });
+  const res = await upstreamFetch('google-oauth', GOOGLE_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: params,
+    idempotent: true,
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Google token', res.status, t);
+  }
+  return res.json();
+}
+
+// fetch() against Google APIs with a cached service account token
+export async function googleServiceFetch(url, options = {}) {
+  const saEmail = process.env.GOOGLE_SA_EMAIL;
+  let saKey = process.env.GOOGLE_SA_PRIVATE_KEY;
+  const delegatedUser = process.env.GOOGLE_DELEGATED_USER;
+  if (!saEmail || !saKey) throw new Error('Missing GOOGLE_SA_EMAIL or GOOGLE_SA_PRIVATE_KEY');
+  saKey = saKey.replace(/\\n/g, '\n');
+
+  return fetchWithToken(
+    tokenKey(`google:${saEmail}:${delegatedUser || saEmail}`, GOOGLE_SCOPES),
+    () => requestGoogleAccessToken(saEmail, saKey, delegatedUser, GOOGLE_SCOPES),
+    (accessToken) => upstreamFetch('google', url, {
+      ...options,
+      headers: { ...options.headers, authorization: `Bearer ${accessToken}` },
+    }),
+  );
+}
+
+// fetch() against Google APIs as the current user, see withGoogleUserToken(),
+// or with the service account
+export async function googleFetch(url, options = {}) {
+  const accessToken = userToken.getStore();
+  if (!accessToken) return googleServiceFetch(url, options);
+  // user tokens cannot be refreshed here, a 401 goes back to the caller
+  return upstreamFetch('google', url, {
+    ...options,
+    headers: { ...options.headers, authorization: `Bearer ${accessToken}` },
+  });
+}
+
+// Runs fn with googleFetch() calls made with the user's access token
+export function withGoogleUserToken(accessToken, fn) {
+  return userToken.run(accessToken, fn);
+}
+
+async function checkUserToken(accessToken, type) {
+  const res = await upstreamFetch(
+    'google-oauth',
+    `${GOOGLE_TOKENINFO_URL}?access_token=${encodeURIComponent(accessToken)}`,
+  );
+  if (!res.ok) return { statusCode: 401, error: 'Invalid or expired Google access token' };
+  const info = await res.json();
+  const granted = String(info.scope || '').split(' ');
+  const accepted = USER_SCOPES[type] || [];
+  if (!accepted.some((scope) => granted.includes(scope))) {
+    return {
+      statusCode: 403,
+      error: `Google access token needs one of the scopes: ${accepted.join(', ')}`,
+    };
+  }
+  return { email: info.email };
+}
+
+/**
+ * Decides which credential a request edits a Google file with.
+ * @param {object} request incoming request; the user token is read from the
+ *   x-google-access-token header
+ * @param {string} type docs | sheets | slides, the editor the token must cover
+ * @returns {Promise<{statusCode: number, error: string}|{run: function(function): Promise,
+ *   user?: string}>} an error response, or run(fn), which calls fn with the
+ *   chosen credential in effect
+ */
+export async function authorizeGoogleRequest(request, type) {
+  const mode = process.env.GOOGLE_AUTH_MODE || 'service-account';
+  if (!AUTH_MODES.includes(mode)) throw new Error(`Unknown GOOGLE_AUTH_MODE ${mode}`);
+  const headers = request?.headers || {};
+  const accessToken = mode === 'service-account'
+    ? null
+    : (headers[GOOGLE_USER_TOKEN_HEADER] || headers['X-Google-Access-Token']);
+
+  if (!accessToken) {
+    if (mode === 'user') return { statusCode: 401, error: 'Missing Google access token' };
+    return { run: (fn) => fn() };
+  }
+  const { statusCode, error, email } = await checkUserToken(accessToken, type);
+  if (error) return { statusCode, error };
+  return { run: (fn) => withGoogleUserToken(accessToken, fn), user: email };
+}
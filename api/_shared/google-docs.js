@@ -0,0 +1,217 @@
+/*
+  Google Docs document traversal shared by the Docs endpoints.
+  EDS blocks are authored as tables, so images and placeholders are searched
+  in table cells (including nested tables), the table of contents, headers and
+  footers, not only in top-level paragraphs.
+
+  Image order, used for `targetIndex` everywhere:
+    1. body, in reading order; a positioned (floating) object comes right
+       before the inline content of the paragraph it is anchored to
+    2. headers, then footers, in the order the document lists them
+  Each target carries its `segmentId` (undefined for the body), because
+  headers and footers have their own index space.
+*/
+import { upstreamError } from './errors.js';
+import { googleFetch } from './google-auth.js';
+
+const DOCS_API = 'https://docs.googleapis.com/v1/documents';
+
+export async function getDocument(documentId) {
+  const res = await googleFetch(`${DOCS_API}/${documentId}`);
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Docs get', res.status, t);
+  }
+  return res.json();
+}
+
+/**
+ * Applies requests to a document.
+ * @param {string} documentId
+ * @param {Array<object>} requests
+ * @param {object} [options]
+ * @param {string} [options.requiredRevisionId] only apply the requests if the
+ *   document is still at this revision, e.g. the one the indexes were read from
+ * @returns {Promise<?object>} the batchUpdate response, or null when the
+ *   document changed since requiredRevisionId
+ */
+export async function batchUpdateDocument(documentId, requests, { requiredRevisionId } = {}) {
+  const body = { requests };
+  if (requiredRevisionId) body.writeControl = { requiredRevisionId };
+  const res = await googleFetch(`${DOCS_API}/${documentId}:batchUpdate`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    // a stale revision is rejected with 400 and a message naming the revision
+    if (requiredRevisionId && res.status === 400 && /revision/i.test(t)) return null;
+    throw upstreamError('Docs batchUpdate', res.status, t);
+  }
+  return res.json();
+}
+
+function segmentsOf(doc) {
+  const segments = [{ segmentId: undefined, content: doc?.body?.content || [] }];
+  ['headers', 'footers'].forEach((kind) => {
+    Object.entries(doc?.[kind] || {}).forEach(([id, segment]) => {
+      segments.push({ segmentId: id, content: segment?.content || [] });
+    });
+  });
+  return segments;
+}
+
+// Calls visit(paragraph, structuralElement) for every paragraph, depth first
+function walkParagraphs(content, visit) {
+  (content || []).forEach((el) => {
+    if (el?.paragraph) visit(el.paragraph, el);
+    (el?.table?.tableRows || []).forEach((row) => {
+      (row?.tableCells || []).forEach((cell) => walkParagraphs(cell?.content, visit));
+    });
+    if (el?.tableOfContents) walkParagraphs(el.tableOfContents.content, visit);
+  });
+}
+
+function sizeInPt(embeddedObject) {
+  const width = embeddedObject?.size?.width?.magnitude;
+  const height = embeddedObject?.size?.height?.magnitude;
+  return width && height ? { width, height } : null;
+}
+
+/**
+ * Lists all images of a document in the order described above.
+ * @param {object} doc document as returned by documents.get
+ * @returns {Array<{kind: 'inline'|'positioned', segmentId?: string,
+ *   objectId: string, startIndex: number, endIndex?: number,
+ *   size: ?{width: number, height: number}, contentUri?: string}>}
+ *   for positioned objects startIndex is the start of the anchor paragraph
+ */
+export function findImages(doc) {
+  const images = [];
+  segmentsOf(doc).forEach(({ segmentId, content }) => {
+    walkParagraphs(content, (paragraph, block) => {
+      (paragraph.positionedObjectIds || []).forEach((objectId) => {
+        const embedded = doc?.positionedObjects?.[objectId]
+          ?.positionedObjectProperties?.embeddedObject;
+        if (typeof block.startIndex !== 'number' || !embedded) return;
+        images.push({
+          kind: 'positioned',
+          segmentId,
+          objectId,
+          startIndex: block.startIndex,
+          size: sizeInPt(embedded),
+          contentUri: embedded.imageProperties?.contentUri,
+        });
+      });
+      (paragraph.elements || []).forEach((el) => {
+        const objectId = el.inlineObjectElement?.inlineObjectId;
+        if (!el.inlineObjectElement
+          || typeof el.startIndex !== 'number'
+          || typeof el.endIndex !== 'number') return;
+        const embedded = doc?.inlineObjects?.[objectId]?.inlineObjectProperties?.embeddedObject;
+        images.push({
+          kind: 'inline',
+          segmentId,
+          objectId,
+          startIndex: el.startIndex,
+          endIndex: el.endIndex,
+          size: sizeInPt(embedded),
+          contentUri: embedded?.imageProperties?.contentUri,
+        });
+      });
+    });
+  });
+  return images;
+}
+
+/**
+ * Finds every occurrence of `text` in the document's text runs.
+ * @param {object} doc document as returned by documents.get
+ * @param {string} text text to look for, e.g. a placeholder
+ * @returns {Array<{segmentId?: string, startIndex: number, endIndex: number}>}
+ */
+export function findText(doc, text) {
+  const ranges = [];
+  if (!text) return ranges;
+  segmentsOf(doc).forEach(({ segmentId, content }) => {
+    walkParagraphs(content, (paragraph) => {
+      (paragraph.elements || []).forEach((el) => {
+        const runText = el.textRun?.content || '';
+        if (typeof el.startIndex !== 'number' || !runText) return;
+        let pos = runText.indexOf(text);
+        while (pos !== -1) {
+          const startIndex = el.startIndex + pos;
+          ranges.push({ segmentId, startIndex, endIndex: startIndex + text.length });
+          pos = runText.indexOf(text, pos + text.length);
+        }
+      });
+    });
+  });
+  return ranges;
+}
+
+/**
+ * Finds the matches of a global regular expression in the document's text
+ * runs; a match spanning two runs (e.g. partly bold) is not found.
+ * @param {object} doc document as returned by documents.get
+ * @param {RegExp} pattern regular expression with the g flag
+ * @returns {Array<{segmentId?: string, startIndex: number, endIndex: number,
+ *   text: string}>}
+ */
+export function findTextMatches(doc, pattern) {
+  const ranges = [];
+  segmentsOf(doc).forEach(({ segmentId, content }) => {
+    walkParagraphs(content, (paragraph) => {
+      (paragraph.elements || []).forEach((el) => {
+        const runText = el.textRun?.content || '';
+        if (typeof el.startIndex !== 'number' || !runText) return;
+        [...runText.matchAll(pattern)].forEach((m) => {
+          const startIndex = el.startIndex + m.index;
+          ranges.push({
+            segmentId, startIndex, endIndex: startIndex + m[0].length, text: m[0],
+          });
+        });
+      });
+    });
+  });
+  return ranges;
+}
+
+// Docs objectSize of a { width, height } size in points
+export function objectSizeInPt({ width, height }) {
+  return {
+    width: { magnitude: Number(width), unit: 'PT' },
+    height: { magnitude: Number(height), unit: 'PT' },
+  };
+}
+
+/**
+ * Builds the batchUpdate requests that replace a target (text range, inline
+ * or positioned image) with an inline image. Apply targets in descending
+ * startIndex order so earlier edits do not shift later ones.
+ * @param {object} target item from findImages() or findText()
+ * @param {string} uri image URL
+ * @param {object} objectSize Docs objectSize of the new image
+ */
+export function replaceWithImageRequests(target, uri, objectSize) {
+  const { segmentId, startIndex, endIndex } = target;
+  const remove = target.kind === 'positioned'
+    ? { deletePositionedObject: { objectId: target.objectId } }
+    : { deleteContentRange: { range: { segmentId, startIndex, endIndex } } };
+  return [
+    remove,
+    {
+      insertInlineImage: {
+        location: { segmentId, index: startIndex },
+        uri,
+        objectSize,
+      },
+    },
+  ];
+}
+
+// Orders targets so that applying them one after the other keeps indexes valid
+export function byDescendingIndex(a, b) {
+  return b.startIndex - a.startIndex;
+}
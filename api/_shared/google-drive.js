@@ -0,0 +1,36 @@
+/*
+  Google Drive lookups for caller authorization (see caller-auth.js): which
+  folders a document lives in. Read with the service account, so it has to
+  be able to see the documents the folder rules are about.
+*/
+import { upstreamError } from './errors.js';
+import { googleServiceFetch } from './google-auth.js';
+
+const DRIVE_FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+// Folder trees deeper than this are not walked further
+const MAX_FOLDER_DEPTH = 20;
+
+async function getParents(fileId) {
+  const params = new URLSearchParams({ fields: 'parents', supportsAllDrives: 'true' });
+  const res = await googleServiceFetch(`${DRIVE_FILES_URL}/${fileId}?${params}`);
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Drive get', res.status, t);
+  }
+  return (await res.json()).parents || [];
+}
+
+/**
+ * Lists the ids of all folders containing a file, nearest first, up to the
+ * My Drive or shared drive root.
+ * @param {string} fileId Drive file id, e.g. of a Google Doc
+ * @returns {Promise<Array<string>>}
+ */
+export default async function getFolderAncestors(fileId, depth = 0) {
+  if (depth >= MAX_FOLDER_DEPTH) return [];
+  const parents = await getParents(fileId);
+  if (parents.length === 0) return [];
+  // Drive files have a single parent nowadays; older files may list several
+  const above = await Promise.all(parents.map((id) => getFolderAncestors(id, depth + 1)));
+  return [...parents, ...above.flat()];
+}
@@ -0,0 +1,106 @@
+/*
+  Google Sheets helpers shared by the Sheets endpoints. Cells are always
+  addressed and written one by one (A1 notation with quoted sheet titles), so
+  the rest of a sheet, including formulas and formatting, is never rewritten.
+*/
+import { upstreamError } from './errors.js';
+import { googleFetch } from './google-auth.js';
+
+const SHEETS_API = 'https://sheets.googleapis.com/v4/spreadsheets';
+
+export function columnLetter(index) {
+  let n = index + 1;
+  let letters = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+export function quoteSheetTitle(title) {
+  return `'${String(title).replace(/'/g, "''")}'`;
+}
+
+export const imageFormula = (url) => `=IMAGE("${url.replace(/"/g, '""')}")`;
+
+// Reads the user-entered cell values of all sheets, or of the sheet named `sheet`
+export async function readSheetGrid(documentId, sheet) {
+  const params = new URLSearchParams({
+    includeGridData: 'true',
+    fields: 'sheets(properties(title),data(startRow,startColumn,rowData(values(userEnteredValue))))',
+  });
+  if (sheet) params.append('ranges', quoteSheetTitle(sheet));
+  const res = await googleFetch(`${SHEETS_API}/${documentId}?${params}`);
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Sheets get', res.status, t);
+  }
+  return res.json();
+}
+
+// A1 ranges of all plain text cells containing `text`; formulas are never matched
+export function findSheetCells(spreadsheet, text) {
+  return (spreadsheet?.sheets || []).flatMap((sheet) => {
+    const title = quoteSheetTitle(sheet.properties?.title);
+    return (sheet.data || []).flatMap((grid) => (grid.rowData || []).flatMap((row, r) => (
+      (row.values || []).flatMap((cell, c) => {
+        const value = cell?.userEnteredValue?.stringValue;
+        if (typeof value !== 'string' || !value.includes(text)) return [];
+        const column = columnLetter(c + (grid.startColumn || 0));
+        return [`${title}!${column}${r + (grid.startRow || 0) + 1}`];
+      })
+    )));
+  });
+}
+
+/**
+ * Reads the displayed values of a whole sheet.
+ * @param {string} documentId spreadsheet id
+ * @param {string} [sheet] sheet title; the first sheet when missing
+ * @returns {Promise<{title: string, rows: Array<Array<string>>}>} rows start
+ *   at row 1, trailing empty cells are left out
+ */
+export async function readSheetRows(documentId, sheet) {
+  const range = sheet ? quoteSheetTitle(sheet) : 'A:ZZ';
+  const res = await googleFetch(`${SHEETS_API}/${documentId}/values/${encodeURIComponent(range)}`);
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Sheets values', res.status, t);
+  }
+  const data = await res.json();
+  // the response range names the sheet, e.g. 'Sheet 1'!A1:D20
+  const title = /^'?(.*?)'?!/.exec(data.range || '')?.[1]?.replace(/''/g, "'") || sheet;
+  return { title, rows: data.values || [] };
+}
+
+// Current contents of single-cell `ranges`, formulas as written, '' when empty
+export async function readSheetValues(documentId, ranges) {
+  const params = new URLSearchParams({ valueRenderOption: 'FORMULA' });
+  ranges.forEach((range) => params.append('ranges', range));
+  const res = await googleFetch(`${SHEETS_API}/${documentId}/values:batchGet?${params}`);
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Sheets values', res.status, t);
+  }
+  const { valueRanges = [] } = await res.json();
+  return ranges.map((range, i) => valueRanges[i]?.values?.[0]?.[0] ?? '');
+}
+
+// Writes single cells only, so other values, formulas and formatting stay as they are
+export async function updateSheetCells(documentId, cells) {
+  const res = await googleFetch(`${SHEETS_API}/${documentId}/values:batchUpdate`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      valueInputOption: 'USER_ENTERED',
+      data: cells.map(([range, value]) => ({ range, values: [[value]] })),
+    }),
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Sheets batchUpdate', res.status, t);
+  }
+  return res.json();
+}
@@ -0,0 +1,158 @@
+/*
+  Google Slides presentation traversal shared by the Slides endpoints.
+  Image order, used for `targetIndex`: slides in presentation order, page
+  elements in z-order within a slide, group children in place of the group.
+*/
+import { upstreamError } from './errors.js';
+import { googleFetch } from './google-auth.js';
+
+const SLIDES_API = 'https://slides.googleapis.com/v1/presentations';
+
+export async function getPresentation(presentationId) {
+  const res = await googleFetch(`${SLIDES_API}/${presentationId}`);
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Slides get', res.status, t);
+  }
+  return res.json();
+}
+
+export async function batchUpdatePresentation(presentationId, requests) {
+  const res = await googleFetch(`${SLIDES_API}/${presentationId}:batchUpdate`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ requests }),
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Slides batchUpdate', res.status, t);
+  }
+  return res.json();
+}
+
+const FIT_METHODS = {
+  contain: 'CENTER_INSIDE',
+  cover: 'CENTER_CROP',
+  'keep-width': 'CENTER_INSIDE',
+};
+
+// Calls visit(element, slide) for every page element, including group children
+function walkElements(presentation, visit) {
+  const walk = (elements, slide) => (elements || []).forEach((el) => {
+    visit(el, slide);
+    if (el?.elementGroup) walk(el.elementGroup.children, slide);
+  });
+  (presentation?.slides || []).forEach((slide) => walk(slide.pageElements, slide));
+}
+
+export function shapeText(element) {
+  return (element?.shape?.text?.textElements || [])
+    .map((te) => te.textRun?.content || '')
+    .join('');
+}
+
+/**
+ * Lists all images of a presentation in the order described above.
+ * @param {object} presentation presentation as returned by presentations.get
+ * @returns {Array<{kind: 'image', objectId: string, pageObjectId: string,
+ *   contentUrl?: string, element: object}>}
+ */
+export function findSlideImages(presentation) {
+  const images = [];
+  walkElements(presentation, (element, slide) => {
+    if (!element.image) return;
+    images.push({
+      kind: 'image',
+      objectId: element.objectId,
+      pageObjectId: slide.objectId,
+      contentUrl: element.image.contentUrl,
+      element,
+    });
+  });
+  return images;
+}
+
+/**
+ * Lists the text boxes and shapes whose text contains `text`.
+ * @returns {Array<{kind: 'shape', objectId: string, pageObjectId: string, element: object}>}
+ */
+export function findTextShapes(presentation, text) {
+  const shapes = [];
+  if (!text) return shapes;
+  walkElements(presentation, (element, slide) => {
+    if (!shapeText(element).includes(text)) return;
+    shapes.push({
+      kind: 'shape',
+      objectId: element.objectId,
+      pageObjectId: slide.objectId,
+      element,
+    });
+  });
+  return shapes;
+}
+
+// Finds an image or shape by its object id
+export function findSlideElement(presentation, objectId) {
+  let found = null;
+  walkElements(presentation, (element, slide) => {
+    if (found || element.objectId !== objectId) return;
+    if (element.image) {
+      found = {
+        kind: 'image',
+        objectId,
+        pageObjectId: slide.objectId,
+        contentUrl: element.image.contentUrl,
+        element,
+      };
+    } else if (element.shape) {
+      found = {
+        kind: 'shape',
+        objectId,
+        pageObjectId: slide.objectId,
+        element,
+      };
+    }
+  });
+  return found;
+}
+
+/**
+ * Builds the batchUpdate requests that put an image in place of a target.
+ * Images are swapped with replaceImage, which keeps their transform and size;
+ * shapes are deleted and a new image is created with the same transform and size.
+ * @param {object} target item from findSlideImages() or findTextShapes()
+ * @param {string} url image URL
+ * @param {object} [options]
+ * @param {string} [options.fit] contain | cover | keep-width
+ * @param {string} [options.newObjectId] object id of the image created for a shape
+ * @param {string} [options.altText] description of the new image
+ */
+export function replaceSlideElementRequests(target, url, {
+  fit = 'contain', newObjectId, altText,
+} = {}) {
+  const imageObjectId = target.kind === 'image' ? target.objectId : newObjectId;
+  const altTextRequests = altText && imageObjectId
+    ? [{ updatePageElementAltText: { objectId: imageObjectId, description: altText } }]
+    : [];
+  if (target.kind === 'image') {
+    return [{
+      replaceImage: {
+        imageObjectId,
+        url,
+        imageReplaceMethod: FIT_METHODS[fit] || FIT_METHODS.contain,
+      },
+    }, ...altTextRequests];
+  }
+  const { size, transform } = target.element;
+  return [
+    {
+      createImage: {
+        objectId: newObjectId,
+        url,
+        elementProperties: { pageObjectId: target.pageObjectId, size, transform },
+      },
+    },
+    ...altTextRequests,
+    { deleteObject: { objectId: target.objectId } },
+  ];
+}
@@ -0,0 +1,185 @@
+/*
+  Request handling shared by the api/ functions: CORS and preflight, method
+  routing, caller authentication (see caller-auth.js), JSON body parsing with
+  a size limit, schema validation, errors and logs. An endpoint only
+  implements its methods:
+
+    export default createHandler({
+      name: 'firefly/generate',
+      methods: {
+        POST: { schema, handle: async ({ body, request, requestId, log }) => ({ body: { ... } }) },
+      },
+    });
+
+  A method handler returns { statusCode = 200, headers, body }; an object
+  body is sent as JSON. It reports a problem by throwing httpError() or, from
+  an upstream call, upstreamError() (see errors.js). Every error is answered
+  with { error: { code, message, requestId } }; unexpected errors say no more
+  than "Internal error" and upstream failures answered with 5xx no more than
+  which upstream failed, the details go to the log.
+  Each request gets an id, taken from a valid x-request-id request header or
+  generated, which is returned in the x-request-id response header and
+  carried by all its log entries (see log.js). The "request handled" entry
+  also carries the latency and error counts of the upstreams since the
+  container started (see upstream.js).
+  Besides the body, a method handler gets the authenticated `caller` (null
+  with API_AUTH=none), `authorize({ googleFileId })`, which throws 403
+  unless the caller may edit that file, and the `subject` Firefly usage is
+  counted for (see rate-limit.js).
+*/
+import { randomUUID } from 'node:crypto';
+import { getCallerAuth } from './caller-auth.js';
+import { buildCorsHeaders, isOriginAllowed } from './cors.js';
+import { ERROR_CODES, httpError, upstreamResponseStatus } from './errors.js';
+import createLogger from './log.js';
+import { quotaSubject } from './rate-limit.js';
+import validateSchema from './schema.js';
+import { getUpstreamStats } from './upstream.js';
+
+const DEFAULT_MAX_BODY_BYTES = 256 * 1024;
+const REQUEST_ID_HEADER = 'x-request-id';
+
+function headerOf(request, name) {
+  const headers = request?.headers || {};
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function requestIdOf(request) {
+  const given = headerOf(request, REQUEST_ID_HEADER);
+  return typeof given === 'string' && /^[\w.-]{1,128}$/.test(given) ? given : randomUUID();
+}
+
+// The JSON body as an object; the platform hands it over parsed or as a string
+function parseBody(request, maxBodyBytes) {
+  const raw = request?.body;
+  if (raw === undefined || raw === null || raw === '') return {};
+  const text = typeof raw === 'string' ? raw : JSON.stringify(raw);
+  if (Buffer.byteLength(text) > maxBodyBytes) {
+    throw httpError(413, `Request body is larger than ${maxBodyBytes} bytes`);
+  }
+  let body = raw;
+  if (typeof raw === 'string') {
+    try {
+      body = JSON.parse(raw);
+    } catch (e) {
+      throw httpError(400, 'Request body is not valid JSON', 'invalid_json');
+    }
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+  // clients send null for an unknown value (e.g. the sidekick's targetIndex),
+  // which means the same as leaving the field out, defaults included
+  return Object.fromEntries(Object.entries(body).filter(([, value]) => value !== null));
+}
+
+// Status, code and message the caller gets for an error thrown while handling
+function describeError(e) {
+  if (e?.statusCode) {
+    return {
+      statusCode: e.statusCode,
+      code: e.code || ERROR_CODES[e.statusCode] || 'error',
+      message: e.message,
+      headers: e.headers,
+    };
+  }
+  if (e?.upstream) {
+    const mapped = upstreamResponseStatus(e.upstream.status);
+    // upstream response bodies can say more than the caller should see; what
+    // the caller can act on (4xx) keeps its detail, the rest goes to the log
+    const message = mapped.statusCode >= 500
+      ? `${e.upstream.service} request failed`
+      : e.message;
+    return { ...mapped, message };
+  }
+  if (e?.name === 'AbortError' || e?.name === 'TimeoutError') {
+    return { statusCode: 504, code: ERROR_CODES[504], message: 'Upstream request timed out' };
+  }
+  return { statusCode: 500, code: ERROR_CODES[500], message: 'Internal error' };
+}
+
+function toResponse(baseHeaders, { statusCode = 200, headers = {}, body } = {}) {
+  if (body === undefined || typeof body === 'string') {
+    return { statusCode, headers: { ...baseHeaders, ...headers }, body };
+  }
+  return {
+    statusCode,
+    headers: { ...baseHeaders, 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  };
+}
+
+/**
+ * Builds the main() of an api/ function.
+ * @param {object} options
+ * @param {string} options.name route name used in logs, e.g. "firefly/generate"
+ * @param {object} options.methods handler per HTTP method: a function, or
+ *   { schema, handle } to validate the body against schema.js first
+ * @param {number} [options.maxBodyBytes] larger bodies are rejected with 413
+ * @returns {function(object): Promise<{statusCode: number, headers: object, body?: string}>}
+ */
+export default function createHandler({ name, methods, maxBodyBytes = DEFAULT_MAX_BODY_BYTES }) {
+  const routes = Object.fromEntries(Object.entries(methods).map(([method, route]) => (
+    [method, typeof route === 'function' ? { handle: route } : route]
+  )));
+  const allowed = Object.keys(routes);
+
+  return async function main(request) {
+    const started = Date.now();
+    const method = request?.method;
+    const origin = headerOf(request, 'origin');
+    const requestId = requestIdOf(request);
+    const log = createLogger({ requestId, route: name, method });
+    let baseHeaders = { [REQUEST_ID_HEADER]: requestId };
+
+    let response;
+    let caller = null;
+    try {
+      // throws while the CORS policy is not configured, see cors.js
+      baseHeaders = { ...buildCorsHeaders(origin, { methods: allowed }), ...baseHeaders };
+      if (!isOriginAllowed(origin)) throw httpError(403, 'Origin not allowed', 'origin_not_allowed');
+      if (method === 'OPTIONS') return { statusCode: 204, headers: baseHeaders };
+      const route = routes[method];
+      if (!route) {
+        throw httpError(405, 'Method not allowed', undefined, {
+          allow: [...allowed, 'OPTIONS'].join(','),
+        });
+      }
+      const auth = getCallerAuth();
+      caller = await auth.authenticate(request, { route: name, method });
+      await auth.authorize(caller, name);
+      const body = method === 'GET' || method === 'HEAD' ? {} : parseBody(request, maxBodyBytes);
+      const problem = validateSchema(route.schema, body);
+      if (problem) throw httpError(400, problem);
+      response = toResponse(baseHeaders, await route.handle({
+        request,
+        body,
+        requestId,
+        log,
+        caller,
+        subject: quotaSubject(caller, origin),
+        authorize: (resource) => auth.authorize(caller, name, resource),
+      }));
+    } catch (e) {
+      const {
+        statusCode, code, message, headers,
+      } = describeError(e);
+      if (statusCode >= 500) {
+        log.error(String(e?.message || e), { code, upstream: e?.upstream, stack: e?.stack });
+      }
+      response = toResponse(baseHeaders, {
+        statusCode,
+        headers,
+        body: { error: { code, message, requestId } },
+      });
+    }
+    log.info('request handled', {
+      status: response.statusCode,
+      durationMs: Date.now() - started,
+      caller: caller?.id,
+      upstream: getUpstreamStats(),
+    });
+    return response;
+  };
+}
@@ -0,0 +1,23 @@
+// How a new image is placed in the box of the object it replaces
+export const FIT_MODES = ['contain', 'cover', 'keep-width'];
+
+/**
+ * Computes the size of the new image so that it replaces `box`.
+ * @param {{width: number, height: number}} box size of the replaced object
+ * @param {{width: number, height: number}} [imageSize] pixel size of the new
+ *   image; the box aspect ratio is assumed when missing
+ * @param {string} fit contain (inside the box), cover (covers the box) or
+ *   keep-width (same width, height from the image aspect ratio)
+ */
+export function fitObjectSize(box, imageSize, fit) {
+  const aspect = imageSize?.width && imageSize?.height
+    ? imageSize.width / imageSize.height
+    : box.width / box.height;
+  const round = (n) => Math.round(n * 100) / 100;
+  const byWidth = { width: round(box.width), height: round(box.width / aspect) };
+  const byHeight = { width: round(box.height * aspect), height: round(box.height) };
+  if (fit === 'keep-width') return byWidth;
+  const widthFits = byWidth.height <= box.height;
+  if (fit === 'cover') return widthFits ? byHeight : byWidth;
+  return widthFits ? byWidth : byHeight;
+}
@@ -0,0 +1,272 @@
+/*
+  Durable storage for generated images. Firefly returns presigned URLs that
+  expire, so images are copied to storage we control before they are
+  inserted into documents.
+
+  Env vars:
+    - IMAGE_STORAGE: drive | local | none (default: drive when a folder is
+      configured, otherwise none and the Firefly URL is used as is)
+    - IMAGE_STORAGE_DRIVE_FOLDER: Google Drive folder id or folder URL, usually
+      the fstab.yaml mountpoint or a folder below it
+    - IMAGE_STORAGE_DIR: target directory of the local adapter
+    - IMAGE_STORAGE_BASE_URL: public URL the local directory is served from
+    - IMAGE_STORAGE_DRIVE_SHARING: who can view stored images, `anyone`
+      (default), `domain:<example.com>` or `none`. Docs, Sheets and Slides
+      fetch inserted images anonymously, so with anything but `anyone`
+      images only work in =IMAGE() cells viewed by that audience; stored
+      images are readable by anyone who gets hold of their URL otherwise
+    - IMAGE_SOURCE_HOSTS: comma-separated hosts images may be downloaded
+      from, where `*.` matches any subdomains and another `*` one host label
+      part, e.g. *--my-repo--my-org.aem.page (default: the hosts of Firefly's
+      generated images and the preview and live hosts of AEM_OWNER/AEM_REPO).
+      Add e.g. *.googleusercontent.com to expand or fill images selected in
+      Google Docs
+
+  Images are only downloaded over https from those hosts, up to
+  MAX_IMAGE_BYTES, and only PNG, JPEG and WebP bytes are accepted, whatever
+  the response claims to be: image URLs come from callers, and what is
+  downloaded ends up in documents and may be publicly readable in storage.
+
+  A storage adapter is an object with an async save({ bytes, contentType,
+  name }) method that resolves to { id, url }; plug in others with
+  setImageStorage().
+*/
+import { mkdir, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { httpError, upstreamError } from './errors.js';
+import { googleServiceFetch } from './google-auth.js';
+import { upstreamFetch } from './upstream.js';
+
+const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+const DRIVE_FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+// where Firefly serves generated images (presigned URLs)
+const FIREFLY_IMAGE_HOSTS = [
+  'pre-signed-firefly-prod.s3-accelerate.amazonaws.com',
+  'pre-signed-firefly-prod.s3.amazonaws.com',
+];
+const MAX_REDIRECTS = 3;
+const MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+const SHARING_MODES = /^(anyone|none|domain:[\w.-]+)$/;
+
+function imageHosts() {
+  const hosts = process.env.IMAGE_SOURCE_HOSTS;
+  if (hosts) return hosts.split(',').map((h) => h.trim()).filter(Boolean);
+  const { AEM_OWNER: owner, AEM_REPO: repo } = process.env;
+  const siteHosts = owner && repo
+    ? [`*--${repo}--${owner}.aem.page`, `*--${repo}--${owner}.aem.live`]
+    : [];
+  return [...FIREFLY_IMAGE_HOSTS, ...siteHosts];
+}
+
+function hostMatches(hostname, pattern) {
+  const host = hostname.toLowerCase();
+  const p = pattern.toLowerCase();
+  if (p.startsWith('*.')) return host.endsWith(p.slice(1));
+  const source = p.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('[^.]+');
+  return new RegExp(`^${source}$`).test(host);
+}
+
+function checkImageUrl(imageUrl, extraHosts = []) {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch (e) {
+    throw httpError(400, `Invalid image URL ${imageUrl}`);
+  }
+  if (url.protocol !== 'https:') throw httpError(400, `Image URL must use https: ${imageUrl}`);
+  if (![...imageHosts(), ...extraHosts].some((pattern) => hostMatches(url.hostname, pattern))) {
+    throw httpError(400, `Images from ${url.hostname} are not allowed`);
+  }
+}
+
+// Type of an image by its leading bytes, null for anything but PNG, JPEG and WebP
+function sniffImageType(bytes) {
+  const starts = (offset, signature) => signature.every((b, i) => bytes[offset + i] === b);
+  if (starts(0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (starts(0, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  // RIFF....WEBP
+  if (starts(0, [0x52, 0x49, 0x46, 0x46]) && starts(8, [0x57, 0x45, 0x42, 0x50])) return 'image/webp';
+  return null;
+}
+
+// The response body, as long as it is no larger than MAX_IMAGE_BYTES
+async function readImageBody(res, imageUrl) {
+  const tooLarge = () => httpError(422, `Image larger than ${MAX_IMAGE_BYTES} bytes: ${imageUrl}`);
+  if (Number(res.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+    await res.body?.cancel();
+    throw tooLarge();
+  }
+  if (!res.body) return Buffer.alloc(0);
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  const read = async () => {
+    const { done, value } = await reader.read();
+    if (done) return;
+    size += value.length;
+    if (size > MAX_IMAGE_BYTES) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+    await read();
+  };
+  await read();
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Downloads an image from an allowed host, see above; redirects are only
+ * followed to allowed hosts.
+ * @param {string} imageUrl
+ * @param {object} [options]
+ * @param {Array<string>} [options.extraHosts] hosts allowed besides the
+ *   configured ones, for URLs a Google API returned rather than a caller
+ * @returns {Promise<{bytes: Buffer, contentType: string}>} contentType is
+ *   the type of the bytes
+ * @throws 400 for a URL that is not allowed, 422 when it is not an image or
+ *   too large
+ */
+export async function downloadImage(imageUrl, { extraHosts = [] } = {}, redirects = 0) {
+  checkImageUrl(imageUrl, extraHosts);
+  const res = await upstreamFetch('images', imageUrl, { redirect: 'manual' });
+  const location = res.headers.get('location');
+  if (res.status >= 300 && res.status < 400 && location) {
+    await res.body?.cancel();
+    if (redirects >= MAX_REDIRECTS) {
+      throw upstreamError('Image download', res.status, `Too many redirects: ${imageUrl}`);
+    }
+    return downloadImage(new URL(location, imageUrl).href, { extraHosts }, redirects + 1);
+  }
+  if (!res.ok) throw upstreamError('Image download', res.status, imageUrl);
+  const bytes = await readImageBody(res, imageUrl);
+  const contentType = sniffImageType(bytes);
+  if (!contentType) {
+    const declared = (res.headers.get('content-type') || 'unknown').split(';')[0].trim();
+    throw httpError(422, `Unsupported image type ${declared}: ${imageUrl}`);
+  }
+  return { bytes, contentType };
+}
+
+export function extractDriveFolderId(folder) {
+  if (!folder) return null;
+  const m = /\/folders\/([^/?#]+)/.exec(folder);
+  return m ? m[1] : folder;
+}
+
+/**
+ * Storage in a Google Drive folder, uploaded with the service account.
+ * @param {object} options
+ * @param {string} options.folderId
+ * @param {string} [options.sharing] anyone | domain:<domain> | none, see above
+ */
+export function createDriveStorage({ folderId, sharing = 'anyone' }) {
+  if (!SHARING_MODES.test(sharing)) throw new Error(`Unknown IMAGE_STORAGE_DRIVE_SHARING ${sharing}`);
+  const [type, domain] = sharing.split(':');
+  return {
+    async save({ bytes, contentType, name }) {
+      const boundary = `firefly-${Date.now().toString(36)}`;
+      const metadata = { name, parents: [folderId], mimeType: contentType };
+      const body = Buffer.concat([
+        Buffer.from(`--${boundary}\r\ncontent-type: application/json; charset=UTF-8\r\n\r\n`),
+        Buffer.from(JSON.stringify(metadata)),
+        Buffer.from(`\r\n--${boundary}\r\ncontent-type: ${contentType}\r\n\r\n`),
+        Buffer.from(bytes),
+        Buffer.from(`\r\n--${boundary}--`),
+      ]);
+      const res = await googleServiceFetch(`${DRIVE_UPLOAD_URL}?uploadType=multipart&supportsAllDrives=true&fields=id`, {
+        method: 'POST',
+        headers: { 'content-type': `multipart/related; boundary=${boundary}` },
+        body,
+      });
+      if (!res.ok) {
+        const t = await res.text();
+        throw upstreamError('Drive upload', res.status, t);
+      }
+      const { id } = await res.json();
+
+      if (type !== 'none') {
+        const permRes = await googleServiceFetch(`${DRIVE_FILES_URL}/${id}/permissions?supportsAllDrives=true`, {
+          method: 'POST',
+          headers: { 'content-type': 'application/json' },
+          body: JSON.stringify({ role: 'reader', type, domain }),
+        });
+        if (!permRes.ok) {
+          const t = await permRes.text();
+          throw upstreamError('Drive permission', permRes.status, t);
+        }
+      }
+      return { id, url: `https://drive.google.com/uc?export=view&id=${id}` };
+    },
+  };
+}
+
+export function createLocalStorage({ dir, baseUrl }) {
+  return {
+    async save({ bytes, name }) {
+      await mkdir(dir, { recursive: true });
+      const path = join(dir, name);
+      await writeFile(path, Buffer.from(bytes));
+      const url = baseUrl
+        ? `${baseUrl.replace(/\/$/, '')}/${encodeURIComponent(name)}`
+        : pathToFileURL(path).href;
+      return { id: name, url };
+    },
+  };
+}
+
+function createConfiguredStorage() {
+  const folderId = extractDriveFolderId(process.env.IMAGE_STORAGE_DRIVE_FOLDER);
+  const type = process.env.IMAGE_STORAGE || (folderId ? 'drive' : 'none');
+  if (type === 'drive') {
+    if (!folderId) throw new Error('Missing IMAGE_STORAGE_DRIVE_FOLDER');
+    return createDriveStorage({ folderId, sharing: process.env.IMAGE_STORAGE_DRIVE_SHARING });
+  }
+  if (type === 'local') {
+    return createLocalStorage({
+      dir: process.env.IMAGE_STORAGE_DIR || join(tmpdir(), 'firefly-images'),
+      baseUrl: process.env.IMAGE_STORAGE_BASE_URL,
+    });
+  }
+  if (type === 'none') return null;
+  throw new Error(`Unknown IMAGE_STORAGE ${type}`);
+}
+
+let storage;
+
+export function getImageStorage() {
+  if (storage === undefined) storage = createConfiguredStorage();
+  return storage;
+}
+
+export function setImageStorage(imageStorage) {
+  storage = imageStorage;
+}
+
+/**
+ * Copies an image to the configured storage.
+ * @param {string} imageUrl source URL, typically a presigned Firefly URL
+ * @param {object} [options]
+ * @param {string} [options.name] file name without extension
+ * @param {Array<string>} [options.extraHosts] see downloadImage()
+ * @returns {Promise<{url: string, id?: string, persisted: boolean}>} the
+ *   stable URL, or the source URL when no storage is configured
+ */
+export async function persistImage(imageUrl, { name, extraHosts } = {}) {
+  const target = getImageStorage();
+  if (!target) return { url: imageUrl, persisted: false };
+
+  const { bytes, contentType } = await downloadImage(imageUrl, { extraHosts });
+  const ext = EXTENSIONS[contentType];
+  const base = name || `firefly-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+  const { id, url } = await target.save({ bytes, contentType, name: `${base}.${ext}` });
+  return { id, url, persisted: true };
+}
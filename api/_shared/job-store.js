@@ -0,0 +1,68 @@
+/*
+  Pluggable store for asynchronous generation jobs.
+  The default store keeps jobs in memory, which is enough for a single warm
+  container and for local testing. Deployments that scale out can plug in a
+  shared store (e.g. App Builder State or Redis) with setJobStore(); a store
+  only needs async get(id), put(job), update(id, patch) and claim(id, leaseMs)
+  methods. Jobs that advance when they are polled take a lease with claim()
+  before they run a step, so concurrent polls never run the same step twice;
+  a shared store has to claim atomically, e.g. with a conditional write.
+*/
+
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+export function createMemoryJobStore({ ttlMs = JOB_TTL_MS } = {}) {
+  const jobs = new Map();
+
+  const prune = () => {
+    const cutoff = Date.now() - ttlMs;
+    jobs.forEach((job, id) => {
+      if (job.updatedAt < cutoff) jobs.delete(id);
+    });
+  };
+
+  return {
+    async get(id) {
+      prune();
+      const job = jobs.get(id);
+      return job ? { ...job } : null;
+    },
+    async put(job) {
+      const now = Date.now();
+      const stored = { createdAt: now, ...job, updatedAt: now };
+      jobs.set(job.id, stored);
+      return { ...stored };
+    },
+    async update(id, patch) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      const updated = { ...job, ...patch, updatedAt: Date.now() };
+      jobs.set(id, updated);
+      return { ...updated };
+    },
+    /**
+     * Takes the lease of a job unless another one holds it; the lease ends
+     * when the holder sets leaseUntil to 0 or after leaseMs.
+     * @returns {Promise<?object>} the job with its new lease, or null when
+     *   it is leased or does not exist
+     */
+    async claim(id, leaseMs) {
+      const job = jobs.get(id);
+      const now = Date.now();
+      if (!job || job.leaseUntil > now) return null;
+      const claimed = { ...job, leaseUntil: now + leaseMs, updatedAt: now };
+      jobs.set(id, claimed);
+      return { ...claimed };
+    },
+  };
+}
+
+let store = createMemoryJobStore();
+
+export function getJobStore() {
+  return store;
+}
+
+export function setJobStore(jobStore) {
+  store = jobStore;
+}
@@ -0,0 +1,137 @@
+/*
+  Pluggable journal of applied image replacements, read by
+  /api/google/revert to restore what a replacement changed.
+  An entry looks like { id, type, documentId, changes, revertedAt }; the
+  shape of `changes` depends on the editor type (see ../google/revert.js).
+
+  Env vars:
+    - REPLACE_JOURNAL: memory | file (default: memory)
+    - REPLACE_JOURNAL_DIR: directory of the file adapter, one JSON file per entry
+
+  The memory store only lives as long as a warm container; the file store is
+  meant for local testing. Deployments can plug in a shared store with
+  setJournalStore(); a store only needs async get(id), put(entry),
+  update(id, patch), claim(id) and release(id) methods. A revert claims its
+  entry before it edits the file, so two reverts of one entry never both
+  apply; a shared store has to claim atomically, e.g. with a conditional write.
+*/
+import {
+  mkdir, readFile, rm, writeFile,
+} from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+export function createMemoryJournalStore() {
+  const entries = new Map();
+  return {
+    async get(id) {
+      const entry = entries.get(id);
+      return entry ? { ...entry } : null;
+    },
+    async put(entry) {
+      const now = Date.now();
+      const stored = {
+        createdAt: now, revertedAt: null, ...entry, updatedAt: now,
+      };
+      entries.set(entry.id, stored);
+      return { ...stored };
+    },
+    async update(id, patch) {
+      const entry = entries.get(id);
+      if (!entry) return null;
+      const updated = { ...entry, ...patch, updatedAt: Date.now() };
+      entries.set(id, updated);
+      return { ...updated };
+    },
+    /**
+     * Marks an entry as reverted unless it is already; release() undoes the
+     * claim of a revert that failed.
+     * @returns {Promise<?object>} the claimed entry, or null when it is
+     *   reverted already or does not exist
+     */
+    async claim(id) {
+      const entry = entries.get(id);
+      if (!entry || entry.revertedAt) return null;
+      const now = Date.now();
+      const claimed = { ...entry, revertedAt: now, updatedAt: now };
+      entries.set(id, claimed);
+      return { ...claimed };
+    },
+    async release(id) {
+      const entry = entries.get(id);
+      if (entry) entries.set(id, { ...entry, revertedAt: null, updatedAt: Date.now() });
+    },
+  };
+}
+
+export function createFileJournalStore({ dir }) {
+  // ids come from callers of the revert endpoint, keep them inside `dir`
+  const pathOf = (id) => join(dir, `${encodeURIComponent(id)}.json`);
+  // created exclusively by claim(), so only one process wins a revert
+  const claimPathOf = (id) => join(dir, `${encodeURIComponent(id)}.reverted`);
+  const write = async (entry) => {
+    await mkdir(dir, { recursive: true });
+    await writeFile(pathOf(entry.id), JSON.stringify(entry, null, 2));
+    return entry;
+  };
+
+  const store = {
+    async get(id) {
+      try {
+        return JSON.parse(await readFile(pathOf(id), 'utf8'));
+      } catch (e) {
+        if (e?.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async put(entry) {
+      const now = Date.now();
+      return write({
+        createdAt: now, revertedAt: null, ...entry, updatedAt: now,
+      });
+    },
+    async update(id, patch) {
+      const entry = await store.get(id);
+      if (!entry) return null;
+      return write({ ...entry, ...patch, updatedAt: Date.now() });
+    },
+    async claim(id) {
+      const entry = await store.get(id);
+      if (!entry || entry.revertedAt) return null;
+      try {
+        await writeFile(claimPathOf(id), '', { flag: 'wx' });
+      } catch (e) {
+        if (e?.code === 'EEXIST') return null;
+        throw e;
+      }
+      return store.update(id, { revertedAt: Date.now() });
+    },
+    async release(id) {
+      await store.update(id, { revertedAt: null });
+      await rm(claimPathOf(id), { force: true });
+    },
+  };
+  return store;
+}
+
+function createConfiguredStore() {
+  const type = process.env.REPLACE_JOURNAL || 'memory';
+  if (type === 'memory') return createMemoryJournalStore();
+  if (type === 'file') {
+    return createFileJournalStore({
+      dir: process.env.REPLACE_JOURNAL_DIR || join(tmpdir(), 'replace-journal'),
+    });
+  }
+  throw new Error(`Unknown REPLACE_JOURNAL ${type}`);
+}
+
+let store;
+
+export function getJournalStore() {
+  if (store === undefined) store = createConfiguredStore();
+  return store;
+}
+
+export function setJournalStore(journalStore) {
+  store = journalStore;
+}
@@ -0,0 +1,27 @@
+/*
+  Structured logs of the api/ functions: one JSON object per line on stdout,
+  so the platform's log search can filter by requestId, route or status.
+*/
+
+/**
+ * Creates a logger whose entries all carry `fields` (e.g. requestId, route).
+ * @returns {{info: function(string, object=), warn: function(string, object=),
+ *   error: function(string, object=)}}
+ */
+export default function createLogger(fields = {}) {
+  const write = (level, message, extra) => {
+    // eslint-disable-next-line no-console
+    console.log(JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      message,
+      ...fields,
+      ...extra,
+    }));
+  };
+  return {
+    info: (message, extra) => write('info', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    error: (message, extra) => write('error', message, extra),
+  };
+}
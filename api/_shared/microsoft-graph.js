@@ -0,0 +1,122 @@
+/*
+  Microsoft Graph access for the api/ functions (SharePoint / OneDrive files).
+  Auth model: app registration with the client credentials flow and the
+  Files.ReadWrite.All (or Sites.ReadWrite.All) application permission.
+
+  Env vars:
+    - MS_TENANT_ID, MS_CLIENT_ID, MS_CLIENT_SECRET: app registration
+    - MS_GRAPH_BASE_URL: Graph endpoint (default: https://graph.microsoft.com/v1.0);
+      point it to a local Graph stand-in for testing, see
+      tools/graph-stand-in/server.js
+    - MS_GRAPH_ACCESS_TOKEN: fixed bearer token used instead of the client
+      credentials flow, e.g. with the stand-in
+*/
+import { upstreamError } from './errors.js';
+import { fetchWithToken, tokenKey } from './token-cache.js';
+import { upstreamFetch } from './upstream.js';
+
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+const GRAPH_SCOPE = 'https://graph.microsoft.com/.default';
+
+function graphBaseUrl() {
+  return (process.env.MS_GRAPH_BASE_URL || GRAPH_BASE_URL).replace(/\/$/, '');
+}
+
+async function requestGraphAccessToken(tenantId, clientId, clientSecret) {
+  const tokenUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`;
+  const res = await upstreamFetch('microsoft-login', tokenUrl, {
+    method: 'POST',
+    idempotent: true,
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: clientId,
+      client_secret: clientSecret,
+      scope: GRAPH_SCOPE,
+    }),
+  });
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Microsoft token', res.status, t);
+  }
+  return res.json();
+}
+
+// fetch() against Graph, `path` relative to the Graph base URL
+export async function graphFetch(path, options = {}) {
+  const url = `${graphBaseUrl()}${path}`;
+  const call = (accessToken) => upstreamFetch('microsoft', url, {
+    ...options,
+    headers: { ...options.headers, authorization: `Bearer ${accessToken}` },
+  });
+  if (process.env.MS_GRAPH_ACCESS_TOKEN) return call(process.env.MS_GRAPH_ACCESS_TOKEN);
+
+  const tenantId = process.env.MS_TENANT_ID;
+  const clientId = process.env.MS_CLIENT_ID;
+  const clientSecret = process.env.MS_CLIENT_SECRET;
+  if (!tenantId || !clientId || !clientSecret) {
+    throw new Error('Missing MS_TENANT_ID, MS_CLIENT_ID or MS_CLIENT_SECRET');
+  }
+  return fetchWithToken(
+    tokenKey(`microsoft:${tenantId}:${clientId}`, GRAPH_SCOPE),
+    () => requestGraphAccessToken(tenantId, clientId, clientSecret),
+    call,
+  );
+}
+
+// Graph share id of a sharing link or file URL, see the /shares API
+export function shareIdForUrl(fileUrl) {
+  return `u!${Buffer.from(fileUrl).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\//g, '_')
+    .replace(/\+/g, '-')}`;
+}
+
+/**
+ * Resolves a SharePoint or OneDrive file URL to its drive item.
+ * @param {string} fileUrl sharing link or direct file URL
+ * @returns {Promise<{id: string, name: string, eTag: string,
+ *   parentReference: {driveId: string}}>}
+ */
+export async function getDriveItem(fileUrl) {
+  const res = await graphFetch(`/shares/${shareIdForUrl(fileUrl)}/driveItem`);
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Graph driveItem', res.status, t);
+  }
+  return res.json();
+}
+
+function itemContentPath(item) {
+  return `/drives/${item.parentReference.driveId}/items/${item.id}/content`;
+}
+
+export async function downloadDriveItem(item) {
+  const res = await graphFetch(itemContentPath(item));
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Graph download', res.status, t);
+  }
+  return Buffer.from(await res.arrayBuffer());
+}
+
+/**
+ * Uploads new content for a drive item.
+ * @param {object} item drive item from getDriveItem()
+ * @param {Buffer} bytes file content
+ * @returns {Promise<?object>} the updated drive item, or null when the file
+ *   changed since item.eTag was read
+ */
+export async function uploadDriveItem(item, bytes) {
+  const res = await graphFetch(itemContentPath(item), {
+    method: 'PUT',
+    headers: { 'content-type': 'application/octet-stream', 'if-match': item.eTag },
+    body: bytes,
+  });
+  if (res.status === 412) return null;
+  if (!res.ok) {
+    const t = await res.text();
+    throw upstreamError('Graph upload', res.status, t);
+  }
+  return res.json();
+}
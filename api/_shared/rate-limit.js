@@ -0,0 +1,169 @@
+/*
+  Rate limit and daily quota of Firefly generations, which cost credits.
+  Usage is counted per caller (see caller-auth.js) or, when caller
+  authentication is turned off with API_AUTH=none, per Origin:
+    - rate limit: generation requests per minute, against bursts and
+      runaway scripts
+    - daily quota: generated images per UTC day
+  A request over either limit gets 429 with Retry-After. Bulk runs (sheet
+  rows, {{firefly: ...}} directives) only count against the daily quota, one
+  image at a time, so a long run is not cut off by the rate limit. Images of
+  a generation that fails are given back to the daily quota (refundQuota());
+  the request still counts against the rate limit.
+  Counters live in the usage store, see usage-store.js.
+
+  Env vars:
+    - FIREFLY_RATE_LIMIT: requests per minute (default: 10, 0 turns it off)
+    - FIREFLY_DAILY_QUOTA: images per day (default: 200, 0 turns it off)
+  The limits are read once; setQuotaPolicy() replaces them, e.g. with ones
+  built by createQuotaPolicy() from a config file.
+*/
+import { ERROR_CODES, httpError } from './errors.js';
+import { getUsageStore } from './usage-store.js';
+
+const DEFAULT_RATE_LIMIT = 10;
+const DEFAULT_DAILY_QUOTA = 200;
+const MINUTE_MS = 60 * 1000;
+// epoch milliseconds start at a UTC midnight, so days are whole multiples
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Builds the limits of Firefly usage.
+ * @param {object} [options]
+ * @param {number} [options.rateLimit] requests per minute, 0 for no limit
+ * @param {number} [options.dailyQuota] images per day, 0 for no limit
+ */
+export function createQuotaPolicy({
+  rateLimit = DEFAULT_RATE_LIMIT, dailyQuota = DEFAULT_DAILY_QUOTA,
+} = {}) {
+  return { rateLimit, dailyQuota };
+}
+
+function limitFromEnv(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) throw new Error(`Invalid usage limit ${value}`);
+  return limit;
+}
+
+let policy = null;
+
+export function getQuotaPolicy() {
+  if (!policy) {
+    policy = createQuotaPolicy({
+      rateLimit: limitFromEnv(process.env.FIREFLY_RATE_LIMIT, DEFAULT_RATE_LIMIT),
+      dailyQuota: limitFromEnv(process.env.FIREFLY_DAILY_QUOTA, DEFAULT_DAILY_QUOTA),
+    });
+  }
+  return policy;
+}
+
+export function setQuotaPolicy(next) {
+  policy = next;
+}
+
+// Whom usage is counted for: the authenticated caller, else the page's origin
+export function quotaSubject(caller, origin) {
+  if (caller) return `${caller.type}:${caller.id}`;
+  return origin ? `origin:${origin}` : 'anonymous';
+}
+
+// The counters of a subject at `now`; a limit of 0 has none
+function countersOf(subject, now) {
+  const { rateLimit, dailyQuota } = getQuotaPolicy();
+  const windowOf = (name, lengthMs) => {
+    const start = Math.floor(now / lengthMs) * lengthMs;
+    return { key: `${name}:${subject}:${start}`, resetAt: start + lengthMs };
+  };
+  return {
+    rate: rateLimit > 0 ? { ...windowOf('rate', MINUTE_MS), limit: rateLimit } : null,
+    daily: dailyQuota > 0 ? { ...windowOf('daily', DAY_MS), limit: dailyQuota } : null,
+  };
+}
+
+/**
+ * Counts a generation against the limits of a subject.
+ * @param {string} subject see quotaSubject()
+ * @param {object} [options]
+ * @param {number} [options.images] images the generation produces
+ * @param {boolean} [options.rateLimited] also count the request against the
+ *   rate limit; false for the rows of a bulk run
+ * @returns {Promise<{subject: string, images: number, at: number}>} the
+ *   charge, for refundQuota(); it can be stored, e.g. with a job
+ * @throws 429 with Retry-After when a limit is reached; nothing is counted then
+ */
+export async function consumeQuota(subject, { images = 1, rateLimited = true } = {}) {
+  const now = Date.now();
+  const { rate, daily } = countersOf(subject, now);
+  const counters = [
+    rateLimited && rate && {
+      ...rate, amount: 1, code: ERROR_CODES[429], message: 'Too many generation requests',
+    },
+    daily && {
+      ...daily, amount: images, code: 'quota_exceeded', message: 'Daily image quota exceeded',
+    },
+  ].filter(Boolean);
+  const store = getUsageStore();
+  // count first and take it back when over the limit, so concurrent
+  // requests cannot both slip through under it
+  const counts = await Promise.all(counters.map((c) => (
+    store.increment(c.key, c.amount, c.resetAt)
+  )));
+  const exceeded = counters.find((c, i) => counts[i] > c.limit);
+  if (!exceeded) return { subject, images, at: now };
+  await Promise.all(counters.map((c) => store.increment(c.key, -c.amount, c.resetAt)));
+  const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt - now) / 1000));
+  throw httpError(429, exceeded.message, exceeded.code, { 'retry-after': String(retryAfter) });
+}
+
+/**
+ * Gives the images of a charge back to the daily quota of the day it was
+ * made, when the generation failed and spent no credits.
+ * @param {{subject: string, images: number, at: number}} charge as returned
+ *   by consumeQuota()
+ */
+export async function refundQuota({ subject, images, at }) {
+  const { daily } = countersOf(subject, at);
+  if (daily) await getUsageStore().increment(daily.key, -images, daily.resetAt);
+}
+
+/**
+ * Runs a generation charged to a subject, see consumeQuota(), and refunds
+ * the charge when it fails.
+ * @param {string} subject see quotaSubject()
+ * @param {object} options see consumeQuota()
+ * @param {function(): Promise<*>} generate
+ * @returns {Promise<*>} what generate resolves to
+ */
+export async function withQuota(subject, options, generate) {
+  const charge = await consumeQuota(subject, options);
+  try {
+    return await generate();
+  } catch (e) {
+    await refundQuota(charge);
+    throw e;
+  }
+}
+
+/**
+ * Usage of a subject for GET /api/firefly/usage.
+ * @param {string} subject see quotaSubject()
+ * @returns {Promise<{rate: ?object, daily: ?object}>} per limit { limit, used,
+ *   remaining, resetAt } with resetAt as an ISO date; null when it is off
+ */
+export async function getUsage(subject) {
+  const counters = countersOf(subject, Date.now());
+  const store = getUsageStore();
+  const usageOf = async (counter) => {
+    if (!counter) return null;
+    const used = await store.get(counter.key);
+    return {
+      limit: counter.limit,
+      used,
+      remaining: Math.max(0, counter.limit - used),
+      resetAt: new Date(counter.resetAt).toISOString(),
+    };
+  };
+  const [rate, daily] = await Promise.all([usageOf(counters.rate), usageOf(counters.daily)]);
+  return { rate, daily };
+}
@@ -0,0 +1,65 @@
+/*
+  Request body validation with a small JSON Schema subset: type (one or a
+  list of string, number, integer, boolean, object, array), required,
+  properties, items, enum, minimum, maximum, maxLength and maxItems.
+  Checks the shape only; rules that depend on other fields or on upstream
+  limits stay in the build*Request() functions.
+*/
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean',
+  object: (v) => typeof v === 'object' && v !== null && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+};
+
+/**
+ * Checks `value` against `schema`.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] name of the value in messages
+ * @returns {?string} the first problem found, or null when the value is valid
+ */
+export default function validateSchema(schema, value, path = 'body') {
+  if (!schema) return null;
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((type) => TYPE_CHECKS[type](value))) {
+    return `${path} must be of type ${types.join(' or ')}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of: ${schema.enum.join(', ')}`;
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${path} must be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${path} must be at most ${schema.maximum}`;
+    }
+  }
+  if (typeof value === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `${path} must be at most ${schema.maxLength} characters`;
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return `${path} must have at most ${schema.maxItems} items`;
+    }
+    if (schema.items) {
+      return value.reduce((found, item, i) => (
+        found || validateSchema(schema.items, item, `${path}[${i}]`)
+      ), null);
+    }
+  }
+  if (TYPE_CHECKS.object(value)) {
+    const missing = (schema.required || []).find((key) => value[key] === undefined);
+    if (missing) return `Missing ${missing}`;
+    return Object.entries(schema.properties || {}).reduce((found, [key, property]) => (
+      found || (value[key] === undefined
+        ? null
+        : validateSchema(property, value[key], path === 'body' ? key : `${path}.${key}`))
+    ), null);
+  }
+  return null;
+}
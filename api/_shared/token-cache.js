@@ -0,0 +1,74 @@
+/*
+  In-memory access token cache shared by the api/ functions.
+  Tokens live as long as the warm container does and are keyed by credential
+  and scopes, so different service accounts or scope sets never share a token.
+  - Tokens are refreshed EARLY_REFRESH_SECS before `expires_in` runs out
+  - Concurrent refreshes for the same key share a single in-flight request
+  - Callers drop a token with invalidateToken() after an upstream 401
+*/
+
+const EARLY_REFRESH_SECS = 300;
+const DEFAULT_EXPIRES_IN_SECS = 3600;
+
+const tokens = new Map();
+const pending = new Map();
+
+export function tokenKey(credential, scopes) {
+  const scopeList = Array.isArray(scopes) ? scopes : String(scopes || '').split(/[\s,]+/);
+  const normalized = scopeList.filter(Boolean).sort().join(' ');
+  return `${credential}|${normalized}`;
+}
+
+/**
+ * Returns a cached access token for `key`, or mints a new one.
+ * @param {string} key cache key, see tokenKey()
+ * @param {() => Promise<{access_token: string, expires_in?: number}>} mint
+ *   fetches a fresh token from the identity provider
+ * @returns {Promise<string>} the access token
+ */
+export async function getToken(key, mint) {
+  const cached = tokens.get(key);
+  if (cached && cached.refreshAt > Date.now()) return cached.accessToken;
+
+  if (pending.has(key)) return pending.get(key);
+
+  const refresh = (async () => {
+    try {
+      const data = await mint();
+      if (!data?.access_token) throw new Error('Token response without access_token');
+      const expiresIn = Number(data.expires_in) || DEFAULT_EXPIRES_IN_SECS;
+      const lifetime = Math.max(expiresIn - EARLY_REFRESH_SECS, expiresIn / 2);
+      tokens.set(key, {
+        accessToken: data.access_token,
+        refreshAt: Date.now() + (lifetime * 1000),
+      });
+      return data.access_token;
+    } finally {
+      pending.delete(key);
+    }
+  })();
+  pending.set(key, refresh);
+  return refresh;
+}
+
+export function invalidateToken(key, accessToken) {
+  const cached = tokens.get(key);
+  // a concurrent refresh may already have replaced the rejected token
+  if (cached && (!accessToken || cached.accessToken === accessToken)) tokens.delete(key);
+}
+
+/**
+ * Runs `call` with a cached token and retries once with a fresh token
+ * if the upstream answers 401.
+ * @param {string} key cache key, see tokenKey()
+ * @param {Function} mint see getToken()
+ * @param {(accessToken: string) => Promise<Response>} call
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithToken(key, mint, call) {
+  const accessToken = await getToken(key, mint);
+  const res = await call(accessToken);
+  if (res.status !== 401) return res;
+  invalidateToken(key, accessToken);
+  return call(await getToken(key, mint));
+}
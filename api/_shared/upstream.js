@@ -0,0 +1,124 @@
+/*
+  HTTP client for every upstream call of the api/ functions (IMS, Firefly,
+  Google, Microsoft Graph, AEM Admin API and image downloads):
+    - each attempt is aborted after a timeout; the caller gets 504 (see handler.js)
+    - idempotent calls (GET, HEAD, PUT, DELETE, or marked `idempotent`, like
+      token requests) are retried on network errors, timeouts, 408, 429, 500,
+      502, 503 and 504
+    - other calls (e.g. a Firefly generation or a Docs batchUpdate) are only
+      retried on 429 and 503, where the upstream refused before doing any work,
+      so a retry cannot spend credits or apply an edit twice
+  Retries wait with exponential backoff and full jitter, and at least as long
+  as Retry-After asks; an upstream that asks for longer than
+  MAX_RETRY_AFTER_MS is not retried and its response is returned as is.
+  Latency and error counts are kept per upstream, see getUpstreamStats();
+  handler.js logs them with every request.
+*/
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_RETRIES = 2;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8 * 1000;
+const MAX_RETRY_AFTER_MS = 20 * 1000;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// statuses that mean the request was not processed at all
+const REFUSED_STATUSES = [429, 503];
+
+const stats = new Map();
+
+function record(service, {
+  durationMs, status, error, retried,
+}) {
+  const entry = stats.get(service) || {
+    calls: 0, errors: 0, retries: 0, timeouts: 0, totalMs: 0, maxMs: 0, statuses: {},
+  };
+  entry.calls += 1;
+  entry.totalMs += durationMs;
+  entry.maxMs = Math.max(entry.maxMs, durationMs);
+  if (retried) entry.retries += 1;
+  if (error) {
+    entry.errors += 1;
+    if (error.name === 'TimeoutError') entry.timeouts += 1;
+  } else {
+    entry.statuses[status] = (entry.statuses[status] || 0) + 1;
+    if (status >= 500 || status === 429) entry.errors += 1;
+  }
+  stats.set(service, entry);
+}
+
+/**
+ * Latency and error counts per upstream since the container started; each
+ * attempt of a retried call counts as a call.
+ * @returns {object} per service { calls, errors, retries, timeouts, avgMs,
+ *   maxMs, statuses } where statuses counts the responses by HTTP status
+ */
+export function getUpstreamStats() {
+  return Object.fromEntries([...stats].map(([service, { totalMs, ...entry }]) => [
+    service,
+    { ...entry, statuses: { ...entry.statuses }, avgMs: Math.round(totalMs / entry.calls) },
+  ]));
+}
+
+// Milliseconds a Retry-After header (seconds or an HTTP date) asks to wait
+function retryAfterMs(res) {
+  const value = res.headers.get('retry-after');
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt) {
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * fetch() with a timeout, retries and stats, see above.
+ * @param {string} service upstream name for the stats, e.g. "firefly" or "google"
+ * @param {string} url
+ * @param {object} [options] fetch options, plus:
+ * @param {number} [options.timeoutMs] timeout of each attempt
+ * @param {number} [options.retries] retries after the first attempt
+ * @param {boolean} [options.idempotent] retry like a GET whatever the method,
+ *   for calls that are safe to repeat
+ * @returns {Promise<Response>} the last response; failed responses are
+ *   returned too, for the caller to turn into an upstreamError()
+ */
+export async function upstreamFetch(service, url, {
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  idempotent,
+  ...options
+} = {}, attempt = 0) {
+  const safe = idempotent ?? IDEMPOTENT_METHODS.includes((options.method || 'GET').toUpperCase());
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const signal = options.signal ? AbortSignal.any([options.signal, timeout]) : timeout;
+  const retry = (delayMs) => sleep(delayMs).then(() => upstreamFetch(service, url, {
+    timeoutMs, retries, idempotent, ...options,
+  }, attempt + 1));
+  const started = Date.now();
+
+  let res;
+  try {
+    res = await fetch(url, { ...options, signal });
+  } catch (e) {
+    const canRetry = safe && attempt < retries && !options.signal?.aborted;
+    record(service, { durationMs: Date.now() - started, error: e, retried: canRetry });
+    if (!canRetry) throw e;
+    return retry(backoffMs(attempt));
+  }
+
+  const retryable = safe ? RETRYABLE_STATUSES : REFUSED_STATUSES;
+  const waitMs = retryAfterMs(res);
+  const canRetry = retryable.includes(res.status) && attempt < retries
+    && waitMs <= MAX_RETRY_AFTER_MS;
+  record(service, { durationMs: Date.now() - started, status: res.status, retried: canRetry });
+  if (!canRetry) return res;
+  // free the connection of the response that is thrown away
+  await res.body?.cancel();
+  return retry(Math.max(waitMs, backoffMs(attempt)));
+}
@@ -0,0 +1,49 @@
+/*
+  Pluggable store for the usage counters of rate-limit.js.
+  The default store keeps counters in memory, so limits hold per warm
+  container only. Deployments that scale out can plug in a shared store
+  (e.g. App Builder State or Redis with INCRBY and EXPIREAT) with
+  setUsageStore(); a store only needs async get(key) and
+  increment(key, amount, expiresAt) methods.
+*/
+
+export function createMemoryUsageStore() {
+  const counters = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.expiresAt <= now) counters.delete(key);
+    });
+  };
+
+  return {
+    // Current count of a counter, 0 when it does not exist or expired
+    async get(key) {
+      prune();
+      return counters.get(key)?.count || 0;
+    },
+    /**
+     * Adds `amount` (which may be negative) to a counter, creating it with
+     * the given expiry when needed.
+     * @returns {Promise<number>} the new count
+     */
+    async increment(key, amount, expiresAt) {
+      prune();
+      const counter = counters.get(key) || { count: 0, expiresAt };
+      counter.count += amount;
+      counters.set(key, counter);
+      return counter.count;
+    },
+  };
+}
+
+let store = createMemoryUsageStore();
+
+export function getUsageStore() {
+  return store;
+}
+
+export function setUsageStore(usageStore) {
+  store = usageStore;
+}
@@ -0,0 +1,121 @@
+/*
+  Minimal ZIP reader/writer for Office Open XML packages (.docx), built on
+  node:zlib. Supports stored and deflated entries without encryption or ZIP64,
+  which covers what Word and SharePoint produce for ordinary documents.
+  Entries are { name, data } with data as a Buffer; order is preserved so a
+  rewritten package keeps [Content_Types].xml first.
+*/
+import { crc32, deflateRawSync, inflateRawSync } from 'node:zlib';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_UTF8 = 0x0800;
+// 1980-01-01 00:00 (month 1 in bits 5-8, day 1 in bits 0-4), entries carry no meaningful timestamps
+const DOS_TIME = 0;
+const DOS_DATE = 0x21;
+
+function findEndOfCentralDir(buffer) {
+  // the record is 22 bytes plus an optional comment of up to 64 KiB
+  const min = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= min; i -= 1) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIR) return i;
+  }
+  throw new Error('Not a ZIP file');
+}
+
+/**
+ * Reads all entries of a ZIP archive.
+ * @param {Buffer} buffer archive bytes
+ * @returns {Array<{name: string, data: Buffer}>}
+ */
+export function readZip(buffer) {
+  const eocd = findEndOfCentralDir(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER) throw new Error('Corrupt ZIP central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) throw new Error(`Corrupt ZIP entry ${name}`);
+    const dataStart = localOffset + 30
+      + buffer.readUInt16LE(localOffset + 26)
+      + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+    const data = method === METHOD_DEFLATED ? inflateRawSync(raw) : Buffer.from(raw);
+    entries.push({ name, data });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Writes entries to a new ZIP archive, deflating every entry.
+ * @param {Array<{name: string, data: Buffer|string}>} entries
+ * @returns {Buffer}
+ */
+export function writeZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const bytes = Buffer.from(data);
+    const compressed = deflateRawSync(bytes);
+    const nameBytes = Buffer.from(name, 'utf8');
+    const crc = crc32(bytes);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(METHOD_DEFLATED, 8);
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(bytes.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(METHOD_DEFLATED, 10);
+    central.writeUInt16LE(DOS_TIME, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(bytes.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, compressed);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  });
+
+  const centralDir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDir, end]);
+}
@@ -0,0 +1,40 @@
+import { httpError } from '../_shared/errors.js';
+import { buildExpandRequest, expandImage, IMAGE_REQUEST_PROPERTIES } from '../_shared/firefly.js';
+import createHandler from '../_shared/handler.js';
+import { withQuota } from '../_shared/rate-limit.js';
+
+/*
+  Generative expand: extends an existing image to a larger size or a wider
+  aspect ratio. Body: { imageUrl, size?, prompt?, maskUrl?, alignment?,
+  numVariations?, seeds?, negativePrompt? }. Responds like /api/firefly/generate.
+*/
+
+const SCHEMA = {
+  type: 'object',
+  required: ['imageUrl'],
+  properties: {
+    ...IMAGE_REQUEST_PROPERTIES,
+    imageUrl: { type: 'string' },
+    maskUrl: { type: 'string' },
+    alignment: { type: 'object' },
+  },
+};
+
+export default createHandler({
+  name: 'firefly/expand',
+  methods: {
+    POST: {
+      schema: SCHEMA,
+      async handle({ body, subject }) {
+        const { error, reqBody, sources } = buildExpandRequest(body);
+        if (error) throw httpError(400, error);
+        const { data, images, imageUrl } = await withQuota(
+          subject,
+          { images: reqBody.numVariations || 1 },
+          () => expandImage(reqBody, sources),
+        );
+        return { body: { imageUrl, images, raw: data } };
+      },
+    },
+  },
+});
@@ -0,0 +1,40 @@
+import { httpError } from '../_shared/errors.js';
+import { buildFillRequest, fillImage, IMAGE_REQUEST_PROPERTIES } from '../_shared/firefly.js';
+import createHandler from '../_shared/handler.js';
+import { withQuota } from '../_shared/rate-limit.js';
+
+/*
+  Generative fill: repaints the masked area of an existing image.
+  Body: { imageUrl, maskUrl, prompt?, size?, numVariations?, seeds?,
+  negativePrompt? }. White areas of the mask are repainted. Responds like
+  /api/firefly/generate.
+*/
+
+const SCHEMA = {
+  type: 'object',
+  required: ['imageUrl', 'maskUrl'],
+  properties: {
+    ...IMAGE_REQUEST_PROPERTIES,
+    imageUrl: { type: 'string' },
+    maskUrl: { type: 'string' },
+  },
+};
+
+export default createHandler({
+  name: 'firefly/fill',
+  methods: {
+    POST: {
+      schema: SCHEMA,
+      async handle({ body, subject }) {
+        const { error, reqBody, sources } = buildFillRequest(body);
+        if (error) throw httpError(400, error);
+        const { data, images, imageUrl } = await withQuota(
+          subject,
+          { images: reqBody.numVariations || 1 },
+          () => fillImage(reqBody, sources),
+        );
+        return { body: { imageUrl, images, raw: data } };
+      },
+    },
+  },
+});
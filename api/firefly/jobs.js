@@ -0,0 +1,154 @@
+import { randomUUID } from 'node:crypto';
+import { httpError } from '../_shared/errors.js';
+import {
+  buildGenerateRequest,
+  generateImage,
+  getGenerateJobStatus,
+  IMAGE_REQUEST_PROPERTIES,
+  submitGenerateJob,
+} from '../_shared/firefly.js';
+import createHandler from '../_shared/handler.js';
+import { getJobStore } from '../_shared/job-store.js';
+import { consumeQuota, refundQuota } from '../_shared/rate-limit.js';
+
+/*
+  Asynchronous image generation jobs, so slow generations are not cut off by
+  client or gateway timeouts.
+    POST /api/firefly/jobs      -> 202 { jobId, status, statusUrl }
+    GET  /api/firefly/jobs/:id  -> { jobId, status, progress, images, imageUrl, error }
+  status is one of queued | running | succeeded | failed.
+  The POST body takes the same parameters as /api/firefly/generate.
+  Jobs are submitted to the Firefly async API; when that is not available the
+  generation runs in the first GET of the job, which answers once it is done,
+  since serverless platforms stop work that goes on after a response. Only
+  the caller who submitted a job can read it. The quota charge is kept with
+  the job and refunded once when the job fails.
+*/
+
+const TERMINAL_STATES = ['succeeded', 'failed'];
+// how long a poll may take to update a job before another poll takes over
+const STEP_LEASE_MS = 2 * 60 * 1000;
+
+const SCHEMA = {
+  type: 'object',
+  required: ['prompt'],
+  properties: IMAGE_REQUEST_PROPERTIES,
+};
+
+function jobIdFromRequest(request) {
+  if (request?.params?.id) return request.params.id;
+  const m = /\/jobs\/([^/?#]+)/.exec(request?.path || request?.url || '');
+  if (m) return decodeURIComponent(m[1]);
+  return request?.query?.id || null;
+}
+
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress,
+    images: job.images,
+    imageUrl: job.images?.[0]?.url || null,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+async function submitJob(reqBody, { charge, subject }) {
+  let upstream;
+  try {
+    upstream = await submitGenerateJob(reqBody);
+  } catch (e) {
+    await refundQuota(charge);
+    throw e;
+  }
+  return getJobStore().put({
+    id: randomUUID(),
+    kind: 'generate',
+    status: 'queued',
+    progress: 0,
+    subject,
+    charge,
+    // without an async upstream the job is generated here, see advanceJob()
+    reqBody: upstream ? undefined : reqBody,
+    upstream: upstream ? { jobId: upstream.jobId, statusUrl: upstream.statusUrl } : null,
+  });
+}
+
+// State of the job after asking Firefly about it, or after generating it here
+async function nextState(store, job) {
+  if (job.upstream) return getGenerateJobStatus(job.upstream.statusUrl);
+  await store.update(job.id, { status: 'running' });
+  try {
+    const { images } = await generateImage(job.reqBody);
+    return { status: 'succeeded', progress: 100, images };
+  } catch (e) {
+    return { status: 'failed', error: String(e?.message || e) };
+  }
+}
+
+/**
+ * Brings a job up to date, unless it is over or another poll is already
+ * doing so; a failed job gets its quota charge back, once.
+ * @returns {Promise<object>} the job as it is now
+ */
+async function advanceJob(job) {
+  if (TERMINAL_STATES.includes(job.status)) return job;
+  const store = getJobStore();
+  const claimed = await store.claim(job.id, STEP_LEASE_MS);
+  if (!claimed) return job;
+  if (TERMINAL_STATES.includes(claimed.status)) return store.update(job.id, { leaseUntil: 0 });
+  let state;
+  try {
+    state = await nextState(store, claimed);
+  } catch (e) {
+    await store.update(job.id, { leaseUntil: 0 });
+    throw e;
+  }
+  const failed = state.status === 'failed';
+  const updated = await store.update(job.id, {
+    ...state,
+    ...(failed ? { charge: null } : {}),
+    leaseUntil: 0,
+  });
+  if (failed && claimed.charge) await refundQuota(claimed.charge);
+  return updated;
+}
+
+export default createHandler({
+  name: 'firefly/jobs',
+  methods: {
+    async GET({ request, subject }) {
+      const id = jobIdFromRequest(request);
+      if (!id) throw httpError(400, 'Missing job id');
+      const job = await getJobStore().get(id);
+      if (!job || job.kind !== 'generate' || job.subject !== subject) {
+        throw httpError(404, 'Job not found');
+      }
+      const current = await advanceJob(job);
+      return {
+        headers: { 'cache-control': 'no-store' },
+        body: serializeJob(current),
+      };
+    },
+    POST: {
+      schema: SCHEMA,
+      async handle({ body, subject }) {
+        const { error, reqBody } = buildGenerateRequest(body);
+        if (error) throw httpError(400, error);
+        const charge = await consumeQuota(subject, { images: reqBody.numVariations || 1 });
+
+        const job = await submitJob(reqBody, { charge, subject });
+        return {
+          statusCode: 202,
+          body: {
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/firefly/jobs/${job.id}`,
+          },
+        };
+      },
+    },
+  },
+});
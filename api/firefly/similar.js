@@ -0,0 +1,46 @@
+import { httpError } from '../_shared/errors.js';
+import {
+  buildSimilarRequest,
+  generateSimilarImage,
+  IMAGE_REQUEST_PROPERTIES,
+} from '../_shared/firefly.js';
+import createHandler from '../_shared/handler.js';
+import { withQuota } from '../_shared/rate-limit.js';
+
+/*
+  Generate similar: text-to-image that uses an existing image (usually the
+  one selected in the sidekick) as style or structure reference.
+  Body: the /api/firefly/generate parameters plus { referenceUrl,
+  referenceType: style|structure, referenceStrength: 0-100 }.
+  Responds like /api/firefly/generate.
+*/
+
+const SCHEMA = {
+  type: 'object',
+  required: ['prompt', 'referenceUrl'],
+  properties: {
+    ...IMAGE_REQUEST_PROPERTIES,
+    referenceUrl: { type: 'string' },
+    referenceType: { type: 'string' },
+    referenceStrength: { type: 'integer' },
+  },
+};
+
+export default createHandler({
+  name: 'firefly/similar',
+  methods: {
+    POST: {
+      schema: SCHEMA,
+      async handle({ body, subject }) {
+        const { error, reqBody, reference } = buildSimilarRequest(body);
+        if (error) throw httpError(400, error);
+        const { data, images, imageUrl } = await withQuota(
+          subject,
+          { images: reqBody.numVariations || 1 },
+          () => generateSimilarImage(reqBody, reference),
+        );
+        return { body: { imageUrl, images, raw: data } };
+      },
+    },
+  },
+});
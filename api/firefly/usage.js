@@ -0,0 +1,21 @@
+import createHandler from '../_shared/handler.js';
+import { getUsage } from '../_shared/rate-limit.js';
+
+/*
+  Firefly usage of the caller, so the palette can show what is left before
+  the author generates (see rate-limit.js).
+    GET /api/firefly/usage -> { rate, daily }
+  each { limit, used, remaining, resetAt }, or null when that limit is off.
+*/
+
+export default createHandler({
+  name: 'firefly/usage',
+  methods: {
+    async GET({ subject }) {
+      return {
+        headers: { 'cache-control': 'no-store' },
+        body: await getUsage(subject),
+      };
+    },
+  },
+});
@@ -0,0 +1,300 @@
+import { randomUUID } from 'node:crypto';
+import mapWithConcurrency from '../_shared/concurrency.js';
+import { httpError } from '../_shared/errors.js';
+import { buildGenerateRequest, generateImage, parseSizeSpec } from '../_shared/firefly.js';
+import { authorizeGoogleRequest } from '../_shared/google-auth.js';
+import {
+  columnLetter,
+  imageFormula,
+  quoteSheetTitle,
+  readSheetRows,
+  updateSheetCells,
+} from '../_shared/google-sheets.js';
+import createHandler from '../_shared/handler.js';
+import { persistImage } from '../_shared/image-storage.js';
+import { getJobStore } from '../_shared/job-store.js';
+import { withQuota } from '../_shared/rate-limit.js';
+
+/*
+  Generates images for every row of a Google Sheet, e.g. the catalog pages
+  whose images come from a list of prompts.
+    POST /api/google/bulk-generate { sheetUrl, sheet?, concurrency?, persist?,
+      regenerate?, columns? } -> 202 { jobId, status, statusUrl }
+    GET  /api/google/bulk-generate/:id -> { jobId, status, progress, summary, error }
+  The first row holds the column headers. Input columns: `prompt`, `size`
+  (2048x2048 or an aspect ratio like 16:9, optional) and `target` (optional
+  file name of the stored image, e.g. a SKU). Output columns `image`
+  (=IMAGE(url)), `status` (done | failed: reason) and `seed` are added to the
+  header row when missing; `columns` maps any of these names to other headers.
+  Each row is written as soon as it is generated, so a run can be stopped or
+  fail halfway: running it again only generates the rows whose status is not
+  `done` (unless `regenerate: true`). The summary counts succeeded, failed and
+  skipped rows and lists the failures.
+  Nothing runs after a response, which serverless platforms do not allow:
+  each GET of the job runs the next batch of at most `concurrency` (default
+  2) rows, all at once, before it answers, so clients poll the statusUrl
+  with the same credentials (including x-google-access-token) until the job
+  succeeds or fails. A run stops when the polling stops and goes on from the
+  same row when it starts again. The job store keeps the progress, see
+  ../_shared/job-store.js.
+*/
+
+const DEFAULT_CONCURRENCY = 2;
+// how long a poll may take to run a batch before another poll takes it over
+const BATCH_LEASE_MS = 5 * 60 * 1000;
+const TERMINAL_STATES = ['succeeded', 'failed'];
+const MAX_CONCURRENCY = 5;
+const DONE = 'done';
+const COLUMNS = {
+  prompt: 'prompt',
+  size: 'size',
+  target: 'target',
+  image: 'image',
+  status: 'status',
+  seed: 'seed',
+};
+
+const SCHEMA = {
+  type: 'object',
+  required: ['sheetUrl'],
+  properties: {
+    sheetUrl: { type: 'string' },
+    sheet: { type: 'string' },
+    concurrency: { type: 'integer', minimum: 1, maximum: MAX_CONCURRENCY },
+    persist: { type: 'boolean' },
+    regenerate: { type: 'boolean' },
+    columns: { type: 'object' },
+  },
+};
+
+function jobIdFromRequest(request) {
+  if (request?.params?.id) return request.params.id;
+  const m = /\/bulk-generate\/([^/?#]+)/.exec(request?.path || request?.url || '');
+  if (m) return decodeURIComponent(m[1]);
+  return request?.query?.id || null;
+}
+
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress,
+    summary: job.summary,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+// Spreadsheet id of a Google Sheets URL
+function parseSheetUrl(sheetUrl) {
+  return /https:\/\/docs\.google\.com\/spreadsheets\/d\/([^/?#]+)/.exec(sheetUrl || '')?.[1] || null;
+}
+
+/**
+ * Finds the input and output columns in the header row.
+ * @returns {{columns: object, added: Array<[string, string]>}} zero-based
+ *   column indexes by role, and the header cells to add for missing outputs
+ */
+function resolveColumns(header, title, names) {
+  const normalized = header.map((h) => String(h).trim().toLowerCase());
+  const columns = {};
+  const added = [];
+  let nextColumn = header.length;
+  Object.entries(names).forEach(([role, name]) => {
+    const index = normalized.indexOf(String(name).trim().toLowerCase());
+    if (index !== -1) {
+      columns[role] = index;
+    } else if (['image', 'status', 'seed'].includes(role)) {
+      columns[role] = nextColumn;
+      added.push([`${quoteSheetTitle(title)}!${columnLetter(nextColumn)}1`, name]);
+      nextColumn += 1;
+    }
+  });
+  return { columns, added };
+}
+
+const fileName = (target) => (target ? String(target).trim().replace(/[^\w.-]+/g, '-') : undefined);
+
+async function generateRow({ prompt, size, target }, { persist, subject }) {
+  const { error, reqBody } = buildGenerateRequest({ prompt, ...parseSizeSpec(size) });
+  if (error) throw new Error(error);
+  const { images } = await withQuota(subject, { rateLimited: false }, () => generateImage(reqBody));
+  const image = images?.[0];
+  if (!image?.url) throw new Error('No image returned');
+  const stored = persist
+    ? await persistImage(image.url, { name: fileName(target) })
+    : { url: image.url };
+  return { url: stored.url, seed: image.seed };
+}
+
+// Rows after the last handled row (`cursor`, a sheet row number) that still
+// need an image, up to `limit` of them, and the row the next batch starts after
+function nextBatch(rows, columns, { cursor, regenerate, limit }) {
+  const batch = [];
+  let skipped = 0;
+  let last = cursor;
+  for (let rowNumber = cursor + 1; rowNumber <= rows.length; rowNumber += 1) {
+    if (batch.length === limit) break;
+    const row = rows[rowNumber - 1];
+    last = rowNumber;
+    const prompt = String(row[columns.prompt] ?? '').trim();
+    if (prompt && !regenerate && String(row[columns.status] ?? '').trim() === DONE) {
+      skipped += 1;
+    } else if (prompt) {
+      batch.push({
+        rowNumber, prompt, size: row[columns.size], target: row[columns.target],
+      });
+    }
+  }
+  return { batch, skipped, cursor: last };
+}
+
+/**
+ * Generates the next batch of rows of a job and records how far it got.
+ * @returns {Promise<object>} the updated job
+ */
+async function runBatch(job) {
+  const store = getJobStore();
+  const {
+    documentId, sheet, concurrency, persist, regenerate, names,
+  } = job.params;
+  const { title, rows } = await readSheetRows(documentId, sheet);
+  const { columns, added } = resolveColumns(rows[0] || [], title, names);
+  if (columns.prompt === undefined) throw new Error(`Missing "${names.prompt}" column`);
+  if (added.length) await updateSheetCells(documentId, added);
+
+  const cell = (column, rowNumber) => `${quoteSheetTitle(title)}!${columnLetter(column)}${rowNumber}`;
+  const { batch, skipped, cursor } = nextBatch(rows, columns, {
+    cursor: job.cursor, regenerate, limit: concurrency,
+  });
+  const summary = {
+    ...job.summary,
+    total: rows.slice(1).filter((row) => String(row[columns.prompt] ?? '').trim()).length,
+    skipped: job.summary.skipped + skipped,
+    failures: [...job.summary.failures],
+  };
+  await mapWithConcurrency(batch, concurrency, async (row) => {
+    let cells;
+    try {
+      const { url, seed } = await generateRow(row, { persist, subject: job.subject });
+      cells = [
+        [cell(columns.image, row.rowNumber), imageFormula(url)],
+        [cell(columns.status, row.rowNumber), DONE],
+        [cell(columns.seed, row.rowNumber), seed ?? ''],
+      ];
+      summary.succeeded += 1;
+    } catch (e) {
+      const error = String(e?.message || e);
+      cells = [[cell(columns.status, row.rowNumber), `failed: ${error}`]];
+      summary.failed += 1;
+      summary.failures.push({ row: row.rowNumber, error });
+    }
+    await updateSheetCells(documentId, cells);
+  });
+
+  const finished = cursor >= rows.length;
+  return store.update(job.id, {
+    status: finished ? 'succeeded' : 'running',
+    progress: finished ? 100 : Math.round(((cursor - 1) / Math.max(1, rows.length - 1)) * 100),
+    summary,
+    cursor,
+    leaseUntil: 0,
+  });
+}
+
+/**
+ * Moves a job on by one batch, unless it is over or another poll is already
+ * running one; a batch that crashed is taken over once its lease expires.
+ * @returns {Promise<object>} the job as it is now
+ */
+async function advanceJob(job, { log }) {
+  if (TERMINAL_STATES.includes(job.status)) return job;
+  const store = getJobStore();
+  const claimed = await store.claim(job.id, BATCH_LEASE_MS);
+  if (!claimed) return job;
+  // another poll may have run the last batch since this one read the job
+  if (TERMINAL_STATES.includes(claimed.status)) return store.update(job.id, { leaseUntil: 0 });
+  try {
+    await store.update(job.id, { status: 'running' });
+    return await runBatch(claimed);
+  } catch (e) {
+    log.error(`Bulk generation ${job.id} failed: ${e?.message || e}`);
+    return store.update(job.id, {
+      status: 'failed', error: String(e?.message || e), leaseUntil: 0,
+    });
+  }
+}
+
+export default createHandler({
+  name: 'google/bulk-generate',
+  methods: {
+    async GET({
+      request, log, subject, authorize,
+    }) {
+      const id = jobIdFromRequest(request);
+      if (!id) throw httpError(400, 'Missing job id');
+      const job = await getJobStore().get(id);
+      // only whoever started a run can see or drive it
+      if (!job || job.kind !== 'bulk-generate' || job.subject !== subject) {
+        throw httpError(404, 'Job not found');
+      }
+      let current = job;
+      if (!TERMINAL_STATES.includes(job.status)) {
+        await authorize({ googleFileId: job.params.documentId });
+        const auth = await authorizeGoogleRequest(request, 'sheets');
+        if (auth.error) throw httpError(auth.statusCode, auth.error);
+        current = await auth.run(() => advanceJob(job, { log }));
+      }
+      return {
+        headers: { 'cache-control': 'no-store' },
+        body: serializeJob(current),
+      };
+    },
+    POST: {
+      schema: SCHEMA,
+      async handle({
+        request, body, subject, authorize,
+      }) {
+        const {
+          sheetUrl,
+          sheet,
+          concurrency = DEFAULT_CONCURRENCY,
+          persist = true,
+          regenerate = false,
+          columns = {},
+        } = body;
+        const documentId = parseSheetUrl(sheetUrl);
+        if (!documentId) throw httpError(400, 'Unsupported sheetUrl');
+        await authorize({ googleFileId: documentId });
+
+        const auth = await authorizeGoogleRequest(request, 'sheets');
+        if (auth.error) throw httpError(auth.statusCode, auth.error);
+
+        const job = await getJobStore().put({
+          id: randomUUID(),
+          kind: 'bulk-generate',
+          status: 'queued',
+          progress: 0,
+          subject,
+          params: {
+            documentId, sheet, concurrency, persist, regenerate, names: { ...COLUMNS, ...columns },
+          },
+          // sheet row number of the last handled row, the header at first
+          cursor: 1,
+          summary: {
+            total: 0, succeeded: 0, failed: 0, skipped: 0, failures: [],
+          },
+        });
+        return {
+          statusCode: 202,
+          body: {
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/google/bulk-generate/${job.id}`,
+          },
+        };
+      },
+    },
+  },
+});
@@ -1,393 +1,898 @@
-import { buildCorsHeaders, handleOptions } from '../_shared/cors.js';
+import { randomUUID } from 'node:crypto';
+import { refreshAemPage } from '../_shared/aem-admin.js';
+import mapWithConcurrency from '../_shared/concurrency.js';
+import { DIRECTIVE_PATTERN, parseDirective } from '../_shared/directives.js';
+import { httpError } from '../_shared/errors.js';
+import { buildGenerateRequest, generateImage } from '../_shared/firefly.js';
+import { authorizeGoogleRequest } from '../_shared/google-auth.js';
+import {
+  batchUpdateDocument,
+  byDescendingIndex,
+  findImages,
+  findText,
+  findTextMatches,
+  getDocument,
+  objectSizeInPt,
+  replaceWithImageRequests,
+} from '../_shared/google-docs.js';
+import {
+  findSheetCells,
+  imageFormula,
+  readSheetGrid,
+  readSheetValues,
+  updateSheetCells,
+} from '../_shared/google-sheets.js';
+import {
+  batchUpdatePresentation,
+  findSlideElement,
+  findSlideImages,
+  findTextShapes,
+  getPresentation,
+  replaceSlideElementRequests,
+  shapeText,
+} from '../_shared/google-slides.js';
+import { resolveAltText } from '../_shared/alt-text.js';
+import createHandler from '../_shared/handler.js';
+import { FIT_MODES, fitObjectSize } from '../_shared/image-fit.js';
+import { persistImage } from '../_shared/image-storage.js';
+import { getJobStore } from '../_shared/job-store.js';
+import { getJournalStore } from '../_shared/journal-store.js';
+import { withQuota } from '../_shared/rate-limit.js';
 
 /*
   Replaces placeholder text (e.g., {{images}}) in a Google Doc with an inline
   image by URL. Also supports Google Sheets: finds cells containing the
-  placeholder and replaces with =IMAGE(url) formula.
-  Auth model: Service Account with Domain-Wide Delegation recommended.
-
-  Required env vars:
-    - GOOGLE_SA_EMAIL: service account email
-    - GOOGLE_SA_PRIVATE_KEY: service account private key (\n preserved)
-    - GOOGLE_DELEGATED_USER: user email to impersonate (if DWD)
+  placeholder (in all columns, or only in the sheet named `sheet`) and writes
+  =IMAGE(url) into just those cells; other cells and formulas are left alone
+  and the response lists the A1 `ranges` that changed. Google Slides: replaces
+  the image given by `objectId` or `targetIndex`, or the text boxes containing
+  the placeholder, keeping the element's transform and size.
+  Docs images and placeholders are also found in tables, headers, footers
+  and positioned objects; see ../_shared/google-docs.js for the image order
+  `targetIndex` refers to.
+  When an existing Docs image is replaced, the new image keeps the original
+  object's size; `fit` (contain | cover | keep-width) decides how an image
+  with a different aspect ratio (`imageSize`) is placed in that box.
+  The image is first copied to durable storage (see
+  ../_shared/image-storage.js) unless `persist: false` is passed, because
+  Firefly URLs expire.
+  Batch mode replaces several targets in one round trip: pass
+  `images: { "{{hero}}": url, ... }` and/or
+  `operations: [{ target, imageUrl, size: { width, height } }]`, where target
+  is a placeholder, a Docs/Slides image index, a Slides object id or a Sheets
+  A1 range. The response lists a result per target.
+  Directives (Docs only): with `directives: true` every
+  {{firefly: prompt, 16:9}} brief in the document (see
+  ../_shared/directives.js) is generated and replaced by its image. As that
+  takes longer than a request may, the POST answers 202 { jobId, status,
+  statusUrl } and each GET of the statusUrl generates the next few
+  directives before it answers { jobId, status, progress, replaced, results,
+  journalIds, aem, error }, so clients poll it (with the same credentials)
+  until the job succeeds or fails. There is a result per directive, as in a
+  batch whose targets are the directive texts, with its `status` (pending |
+  done | failed), `prompt`, `seed` or generation `error`; every batch gets a
+  journal entry of its own. A dry run only parses the directives and
+  answers at once.
+  With `dryRun: true` nothing is persisted or edited: the response lists the
+  `planned` replacements (ranges, indexes, current size and thumbnail) so the
+  author can confirm them first; imageUrl is optional then.
+  Alt text: `altText`, or one derived from the generation `prompt` (see
+  ../_shared/alt-text.js), is set as the description of Slides images. The
+  Docs and Sheets APIs have no way to write it: insertInlineImage takes no
+  title or description and =IMAGE() has no alt argument, so authors still add
+  alt text there by hand.
+  Every applied replacement is recorded in the journal (see
+  ../_shared/journal-store.js) and the response carries its `journalId`;
+  POST it to /api/google/revert to restore the previous content. Replaced
+  images are kept in the image storage for that; when it is not configured,
+  the upload fails or `persist` is false, the change is journaled with
+  `notRevertible` and the revert leaves it as it is.
+  With `preview: true` (or `publish: true`, which previews first) the EDS page
+  of the document is refreshed through the AEM Admin API afterwards and the
+  response carries `aem: { path, preview: { status, url }, live, error }`;
+  see ../_shared/aem-admin.js for the configuration.
+  Docs edits are applied with the revision id of the document they were
+  planned on; when a collaborator edits the document in between, targets are
+  looked up again, and after a few attempts the endpoint answers 409.
+  Auth: the service account, or the author's own Google access token in the
+  x-google-access-token header; see ../_shared/google-auth.js for the modes
+  and the required env vars.
 */
 
-const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
-const SHEETS_API = 'https://sheets.googleapis.com/v4/spreadsheets';
+const DEFAULT_SIZE_PT = 200;
+// Directives of a document are generated this many at a time, one batch per poll
+const DIRECTIVE_CONCURRENCY = 2;
+// how long a poll may take to run a batch before another poll takes it over
+const DIRECTIVE_LEASE_MS = 5 * 60 * 1000;
+const TERMINAL_STATES = ['succeeded', 'failed'];
+// Docs edits are re-planned this many times when a collaborator changes the document
+const MAX_REVISION_RETRIES = 3;
 
-function nowEpochSecs() { return Math.floor(Date.now() / 1000); }
+const SIZE_SCHEMA = {
+  type: 'object',
+  properties: { width: { type: 'number' }, height: { type: 'number' } },
+};
+const SCHEMA = {
+  type: 'object',
+  required: ['docUrl'],
+  properties: {
+    docUrl: { type: 'string' },
+    imageUrl: { type: 'string' },
+    placeholder: { type: 'string' },
+    widthPt: { type: 'number' },
+    heightPt: { type: 'number' },
+    fit: { type: 'string', enum: FIT_MODES },
+    imageSize: SIZE_SCHEMA,
+    range: { type: 'string' },
+    sheet: { type: 'string' },
+    targetIndex: { type: 'integer', minimum: 0 },
+    objectId: { type: 'string' },
+    images: { type: 'object' },
+    operations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          target: { type: ['string', 'integer'] },
+          imageUrl: { type: 'string' },
+          size: SIZE_SCHEMA,
+          imageSize: SIZE_SCHEMA,
+          altText: { type: 'string' },
+          prompt: { type: 'string' },
+        },
+      },
+    },
+    directives: { type: 'boolean' },
+    persist: { type: 'boolean' },
+    dryRun: { type: 'boolean' },
+    preview: { type: 'boolean' },
+    publish: { type: 'boolean' },
+    altText: { type: 'string' },
+    prompt: { type: 'string' },
+  },
+};
 
-function base64url(input) {
-  return Buffer.from(input)
-    .toString('base64')
-    .replace(/=/g, '')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_');
+// Size for a replaced target: explicit size, else the original object's box
+function objectSizeFor(target, { explicitSize, imageSize, fit }) {
+  if (explicitSize) return objectSizeInPt(explicitSize);
+  if (target.size) return objectSizeInPt(fitObjectSize(target.size, imageSize, fit));
+  return objectSizeInPt({ width: DEFAULT_SIZE_PT, height: DEFAULT_SIZE_PT });
 }
-async function signJwt(header, claimSet, privateKeyPem) {
-  const crypto = await import('node:crypto');
-  const encHeader = base64url(JSON.stringify(header));
-  const encClaim = base64url(JSON.stringify(claimSet));
-  const unsigned = `${encHeader}.${encClaim}`;
-  const signer = crypto.createSign('RSA-SHA256');
-  signer.update(unsigned);
-  const signature = signer.sign(privateKeyPem, 'base64')
-    .replace(/=/g, '')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_');
-  return `${unsigned}.${signature}`;
+
+/**
+ * Normalizes the batch forms of the request body.
+ * @returns {{error: string}|{operations: Array<{target, imageUrl, size}>}}
+ */
+function batchOperations(body) {
+  const fromMap = Object.entries(body.images || {})
+    .map(([target, imageUrl]) => ({ target, imageUrl }));
+  const operations = [...fromMap, ...(body.operations || [])];
+  if (operations.length === 0) return { error: 'Missing images or operations' };
+  const invalid = operations.find((op) => (
+    !op?.imageUrl || (typeof op.target !== 'string' && typeof op.target !== 'number')
+  ));
+  if (invalid) return { error: `Invalid operation for target ${invalid?.target}` };
+  return { operations };
 }
-async function getGoogleAccessToken(scopes) {
-  const saEmail = process.env.GOOGLE_SA_EMAIL;
-  let saKey = process.env.GOOGLE_SA_PRIVATE_KEY;
-  const delegatedUser = process.env.GOOGLE_DELEGATED_USER;
-  if (!saEmail || !saKey) throw new Error('Missing GOOGLE_SA_EMAIL or GOOGLE_SA_PRIVATE_KEY');
-  saKey = saKey.replace(/\\n/g, '\n');
-
-  const iat = nowEpochSecs();
-  const exp = iat + 3600;
-  const header = { alg: 'RS256', typ: 'JWT' };
-  const claim = {
-    iss: saEmail,
-    sub: delegatedUser || saEmail,
-    scope: Array.isArray(scopes) ? scopes.join(' ') : scopes,
-    aud: GOOGLE_TOKEN_URL,
-    exp,
-    iat,
-  };
-  const jwt = signJwt(header, claim, saKey);
-  const params = new URLSearchParams({
-    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
-    assertion: jwt,
-  });
-  const res = await fetch(GOOGLE_TOKEN_URL, {
-    method: 'POST',
-    headers: { 'content-type': 'application/x-www-form-urlencoded' },
-    body: params,
-  });
-  if (!res.ok) {
-    const t = await res.text();
-    throw new Error(`Google token error ${res.status}: ${t}`);
-  }
-  const data = await res.json();
-  return data.access_token;
+
+// Distinct directive texts of a document, in document order
+function findDirectives(doc) {
+  return [...new Set(findTextMatches(doc, DIRECTIVE_PATTERN).map((m) => m.text))];
 }
 
-async function batchUpdateDoc(accessToken, documentId, requests) {
-  const url = `https://docs.googleapis.com/v1/documents/${documentId}:batchUpdate`;
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: {
-      authorization: `Bearer ${accessToken}`,
-      'content-type': 'application/json',
-    },
-    body: JSON.stringify({ requests }),
+/**
+ * Generates an image for each directive and turns them into batch operations
+ * on the directive text; a directive that cannot be generated becomes an
+ * operation with an `error`.
+ * @param {Array<string>} texts directive texts, see findDirectives()
+ * @returns {Promise<Array<{target: string, prompt: string, imageUrl?: string,
+ *   seed?: number, size?: object, error?: string}>>}
+ */
+async function directiveOperations(texts, { dryRun, subject }) {
+  return mapWithConcurrency(texts, DIRECTIVE_CONCURRENCY, async (text) => {
+    const spec = parseDirective(text);
+    const op = { target: text, prompt: spec.prompt };
+    const { error, reqBody } = buildGenerateRequest(spec);
+    if (error) return { ...op, error };
+    if (dryRun) return op;
+    try {
+      const generate = () => generateImage(reqBody);
+      const image = (await withQuota(subject, { rateLimited: false }, generate)).images?.[0];
+      if (!image?.url) return { ...op, error: 'No image returned' };
+      // as wide as a placeholder image, with the aspect ratio of the directive
+      const box = { width: DEFAULT_SIZE_PT, height: DEFAULT_SIZE_PT };
+      return {
+        ...op,
+        imageUrl: image.url,
+        seed: image.seed,
+        size: fitObjectSize(box, image, 'keep-width'),
+      };
+    } catch (e) {
+      return { ...op, error: String(e?.message || e) };
+    }
   });
-  if (!res.ok) {
-    const t = await res.text();
-    throw new Error(`Docs batchUpdate error ${res.status}: ${t}`);
-  }
-  return res.json();
 }
 
-function extractDocumentIdFromUrl(docUrl) {
-  const m = /https:\/\/docs\.google\.com\/document\/d\/([^/]+)/.exec(docUrl || '');
-  return m ? m[1] : null;
+const overlaps = (a, b) => a.segmentId === b.segmentId
+  && a.startIndex < (b.endIndex ?? b.startIndex + 1)
+  && b.startIndex < (a.endIndex ?? a.startIndex + 1);
+
+// What a dry run reports for a planned Docs replacement
+function describeDocsEdit({ target, size }) {
+  return {
+    kind: target.kind || 'text',
+    segmentId: target.segmentId,
+    startIndex: target.startIndex,
+    endIndex: target.endIndex,
+    objectId: target.objectId,
+    currentSize: target.size || undefined,
+    newSize: { width: size.width.magnitude, height: size.height.magnitude },
+    thumbnailUrl: target.contentUri,
+  };
 }
 
-export default async function main(request) {
-  const origin = request?.headers?.origin || request?.headers?.Origin;
-  const cors = buildCorsHeaders(origin);
-  if (request?.method === 'OPTIONS') return handleOptions(request);
+// Stored copy of an image an edit replaced, so the journal outlives its URL
+async function keepPreviousImage(url) {
+  const stored = await persistImage(url, {
+    name: `previous-${randomUUID()}`,
+    // where the Docs and Slides APIs serve the images of a document
+    extraHosts: ['*.googleusercontent.com'],
+  });
+  if (!stored.persisted) throw new Error('no image storage is configured');
+  return stored.url;
+}
 
-  try {
-    const body = typeof request?.body === 'string'
-      ? JSON.parse(request.body || '{}')
-      : (request?.body || {});
-    const {
-      docUrl,
-      imageUrl,
-      placeholder = '{{images}}',
-      widthPt = 200,
-      heightPt = 200,
-      range,
-      targetIndex,
-    } = body;
-    if (!docUrl || !imageUrl) {
+// Journal records with stored copies of the replaced images; only called
+// once the edits are applied, so retries and failed edits upload nothing.
+// The contentUri of the Docs and Slides APIs expires after a while, so a
+// replaced image that cannot be stored is journaled as not revertible.
+function keepPreviousImages(changes, persist) {
+  return Promise.all(changes.map(async (change) => {
+    if (!change.previousImageUrl) return change;
+    try {
+      if (!persist) throw new Error('persist is false');
+      return { ...change, previousImageUrl: await keepPreviousImage(change.previousImageUrl) };
+    } catch (e) {
       return {
-        statusCode: 400,
-        headers: cors,
-        body: 'Missing docUrl or imageUrl',
+        ...change,
+        previousImageUrl: null,
+        notRevertible: `Previous image was not stored: ${e?.message || e}`,
       };
     }
+  }));
+}
 
-    // Detect Docs or Sheets by URL
-    const isDocs = /https:\/\/docs\.google\.com\/document\/d\//.test(docUrl);
-    const isSheets = /https:\/\/docs\.google\.com\/spreadsheets\/d\//.test(docUrl);
+// Journal record of a Docs edit; objectId is the id of the inserted image
+function docsChange({ target, text }, objectId, previousImageUrl) {
+  const change = { kind: target.kind || 'text', segmentId: target.segmentId, objectId };
+  if (change.kind === 'text') return { ...change, previousText: text };
+  return { ...change, previousImageUrl, previousSize: target.size };
+}
 
-    if (!isDocs && !isSheets) {
-      return {
-        statusCode: 400,
-        headers: cors,
-        body: 'Unsupported Google URL',
-      };
+/**
+ * Applies all edits in one batchUpdate, last position first.
+ * @returns {Promise<?Array<object>>} journal records of the edits, or null
+ *   when the document is no longer at revisionId and nothing was applied
+ */
+async function applyDocsEdits(documentId, edits, revisionId) {
+  const sorted = [...edits].sort((a, b) => byDescendingIndex(a.target, b.target));
+  const response = await batchUpdateDocument(
+    documentId,
+    sorted.flatMap(({ target, uri, size }) => replaceWithImageRequests(target, uri, size)),
+    { requiredRevisionId: revisionId },
+  );
+  if (!response) return null;
+  const inserted = (response.replies || [])
+    .filter((reply) => reply?.insertInlineImage)
+    .map((reply) => reply.insertInlineImage.objectId);
+  return sorted.map((edit, i) => docsChange(edit, inserted[i], edit.target.contentUri));
+}
+
+/**
+ * Reads the document, plans the edits on it and applies them only if nobody
+ * changed the document in between; otherwise reads and plans again.
+ * @param {function(object): {result: *, edits: Array<object>}} plan
+ * @returns {Promise<*>} the planned result, or null when the document kept
+ *   changing for MAX_REVISION_RETRIES retries
+ */
+async function editDocs(documentId, plan, changes, retries = MAX_REVISION_RETRIES) {
+  const doc = await getDocument(documentId);
+  const { result, edits } = plan(doc);
+  if (edits.length === 0) return result;
+  const applied = await applyDocsEdits(documentId, edits, doc.revisionId);
+  if (applied) {
+    changes.push(...applied);
+    return result;
+  }
+  return retries > 0 ? editDocs(documentId, plan, changes, retries - 1) : null;
+}
+
+// Replaces the selected image, the placeholders or, as a fallback, the first image
+function replaceInDocs(documentId, {
+  placeholder, targetIndex, insertUrl, sizing, dryRun, changes,
+}) {
+  return editDocs(documentId, (doc) => {
+    const images = findImages(doc);
+    const occurrences = findText(doc, placeholder);
+
+    let mode = 'placeholder';
+    let targets = occurrences;
+    if (typeof targetIndex === 'number' && images[targetIndex]) {
+      mode = 'nth-image';
+      targets = [images[targetIndex]];
+    } else if (occurrences.length === 0 && typeof targetIndex !== 'number') {
+      mode = 'first-image';
+      targets = images.slice(0, 1);
     }
+    if (targets.length === 0) return { result: { replaced: 0, type: 'docs' }, edits: [] };
 
-    const documentId = isDocs
-      ? (extractDocumentIdFromUrl(docUrl) || body.documentId)
-      : (/(?:\/spreadsheets\/d\/)([^/]+)/.exec(docUrl)?.[1] || body.documentId);
-    if (!documentId) {
+    const edits = targets.map((target) => ({
+      target,
+      text: placeholder,
+      uri: insertUrl,
+      size: objectSizeFor(target, sizing),
+    }));
+    const result = { replaced: targets.length, type: 'docs', mode };
+    if (mode === 'nth-image') result.index = targetIndex;
+    if (dryRun) {
       return {
-        statusCode: 400,
-        headers: cors,
-        body: 'Missing documentId',
+        result: { ...result, replaced: 0, planned: edits.map(describeDocsEdit) },
+        edits: [],
       };
     }
+    return { result, edits };
+  }, changes);
+}
 
-    const accessToken = await getGoogleAccessToken([
-      'https://www.googleapis.com/auth/drive',
-      'https://www.googleapis.com/auth/documents',
-    ]);
+function replaceBatchInDocs(documentId, operations, {
+  imageSize, fit, dryRun, changes,
+}) {
+  return editDocs(documentId, (doc) => {
+    const images = findImages(doc);
+    const claimed = [];
+    const edits = [];
+    const results = operations.map((op) => {
+      const result = { target: op.target, replaced: 0 };
+      if (op.error) return { ...result, error: op.error };
+      const found = typeof op.target === 'number'
+        ? [images[op.target]].filter(Boolean)
+        : findText(doc, op.target);
+      const targets = found.filter((t) => !claimed.some((c) => overlaps(c, t)));
+      if (targets.length < found.length) result.skipped = found.length - targets.length;
+      claimed.push(...targets);
+      const explicitSize = op.size?.width && op.size?.height ? op.size : null;
+      const opEdits = targets.map((target) => ({
+        target,
+        text: op.target,
+        uri: op.insertUrl,
+        size: objectSizeFor(target, { explicitSize, imageSize: op.imageSize || imageSize, fit }),
+      }));
+      edits.push(...opEdits);
+      if (dryRun) return { ...result, planned: opEdits.map(describeDocsEdit) };
+      return { ...result, replaced: targets.length, imageUrl: op.insertUrl };
+    });
+    return { result: results, edits: dryRun ? [] : edits };
+  }, changes);
+}
 
-    if (isDocs) {
-      // DOCS: find placeholder ranges, delete and insert image at those positions
-      const docRes = await fetch(`https://docs.googleapis.com/v1/documents/${documentId}`, {
-        headers: { authorization: `Bearer ${accessToken}` },
-      });
-      if (!docRes.ok) {
-        const t = await docRes.text();
-        throw new Error(`Docs get error ${docRes.status}: ${t}`);
-      }
-      const doc = await docRes.json();
-      const content = doc?.body?.content || [];
-      const occurrences = content
-        .flatMap((block) => (block?.paragraph?.elements || []))
-        .flatMap((el) => {
-          const tr = el.textRun;
-          const text = tr?.content || '';
-          const { startIndex } = el;
-          if (typeof startIndex !== 'number' || !text) return [];
-          const ranges = [];
-          let from = 0;
-          // eslint-disable-next-line no-constant-condition
-          while (true) {
-            const pos = text.indexOf(placeholder, from);
-            if (pos === -1) break;
-            const absStart = startIndex + pos;
-            const absEnd = absStart + placeholder.length;
-            ranges.push([absStart, absEnd]);
-            from = pos + placeholder.length;
-          }
-          return ranges;
-        });
-
-      if (occurrences.length === 0 && (typeof targetIndex !== 'number')) {
-        // Fallback: replace the first inline image in the document
-        const firstImageEl = content
-          .flatMap((block) => (block?.paragraph?.elements || []))
-          .find((el) => (
-            el.inlineObjectElement
-            && typeof el.startIndex === 'number'
-            && typeof el.endIndex === 'number'
-          ));
-        const firstImageRange = firstImageEl
-          ? [firstImageEl.startIndex, firstImageEl.endIndex]
-          : null;
-
-        if (!firstImageRange) {
-          return {
-            statusCode: 200,
-            headers: { ...cors, 'content-type': 'application/json' },
-            body: JSON.stringify({ replaced: 0 }),
-          };
-        }
-
-        const [s, e] = firstImageRange;
-        const requests = [
-          {
-            deleteContentRange: {
-              range: { startIndex: s, endIndex: e },
-            },
-          },
-          {
-            insertInlineImage: {
-              location: { index: s },
-              uri: imageUrl,
-              objectSize: {
-                width: { magnitude: Number(widthPt), unit: 'PT' },
-                height: { magnitude: Number(heightPt), unit: 'PT' },
-              },
-            },
-          },
-        ];
-
-        await batchUpdateDoc(accessToken, documentId, requests);
-
-        return {
-          statusCode: 200,
-          headers: { ...cors, 'content-type': 'application/json' },
-          body: JSON.stringify({ replaced: 1, type: 'docs', mode: 'first-image' }),
-        };
-      }
+// Journal records holding the values the cells have before they are updated
+async function sheetsChanges(documentId, ranges) {
+  const values = await readSheetValues(documentId, ranges);
+  return ranges.map((range, i) => ({ kind: 'cell', range, previousValue: values[i] }));
+}
 
-      // If targetIndex provided, map to the N-th inline image position
-      if (typeof targetIndex === 'number') {
-        let count = -1;
-        let selectedRange = null;
-        for (const block of content) {
-          const paragraph = block?.paragraph;
-          if (!paragraph) continue;
-          for (const el of (paragraph.elements || [])) {
-            const inlineObj = el.inlineObjectElement;
-            if (inlineObj && typeof el.startIndex === 'number' && typeof el.endIndex === 'number') {
-              count += 1;
-              if (count === targetIndex) {
-                selectedRange = [el.startIndex, el.endIndex];
-                break;
-              }
-            }
-          }
-          if (selectedRange) break;
-        }
-        if (selectedRange) {
-          const [s, e] = selectedRange;
-          const requests = [
-            { deleteContentRange: { range: { startIndex: s, endIndex: e } } },
-            {
-              insertInlineImage: {
-                location: { index: s },
-                uri: imageUrl,
-                objectSize: {
-                  width: { magnitude: Number(widthPt), unit: 'PT' },
-                  height: { magnitude: Number(heightPt), unit: 'PT' },
-                },
-              },
-            },
-          ];
-          await batchUpdateDoc(accessToken, documentId, requests);
-          return { statusCode: 200, headers: { ...cors, 'content-type': 'application/json' }, body: JSON.stringify({ replaced: 1, type: 'docs', mode: 'nth-image', index: targetIndex }) };
-        }
-        // fallthrough to occurrences replacement
-      }
+// Updates the given cell or the cells containing the placeholder
+async function replaceInSheets(documentId, {
+  placeholder, range, sheet, insertUrl, dryRun, changes,
+}) {
+  const ranges = range
+    ? [range]
+    : findSheetCells(await readSheetGrid(documentId, sheet), placeholder);
+  const result = { replaced: ranges.length, type: 'sheets', ranges };
+  if (range) result.range = range;
+  if (dryRun) {
+    return { ...result, replaced: 0, planned: ranges.map((r) => ({ kind: 'cell', range: r })) };
+  }
+  if (ranges.length) {
+    changes.push(...await sheetsChanges(documentId, ranges));
+    await updateSheetCells(documentId, ranges.map((r) => [r, imageFormula(insertUrl)]));
+  }
+  return result;
+}
 
-      const requests = occurrences
-        .sort((a, b) => b[0] - a[0])
-        .flatMap(([absStart, absEnd]) => ([
-          {
-            deleteContentRange: {
-              range: { startIndex: absStart, endIndex: absEnd },
-            },
-          },
-          {
-            insertInlineImage: {
-              location: { index: absStart },
-              uri: imageUrl,
-              objectSize: {
-                width: { magnitude: Number(widthPt), unit: 'PT' },
-                height: { magnitude: Number(heightPt), unit: 'PT' },
-              },
-            },
-          },
-        ]));
-
-      await batchUpdateDoc(accessToken, documentId, requests);
+async function replaceBatchInSheets(documentId, operations, { sheet, dryRun, changes }) {
+  const needsGrid = operations.some((op) => !op.error && !String(op.target).includes('!'));
+  const spreadsheet = needsGrid ? await readSheetGrid(documentId, sheet) : null;
 
-      return {
-        statusCode: 200,
-        headers: { ...cors, 'content-type': 'application/json' },
-        body: JSON.stringify({ replaced: occurrences.length, type: 'docs' }),
-      };
+  const cells = [];
+  const results = operations.map((op) => {
+    const result = { target: op.target, replaced: 0 };
+    if (op.error) return { ...result, error: op.error };
+    const target = String(op.target);
+    const ranges = target.includes('!') ? [target] : findSheetCells(spreadsheet, target);
+    if (dryRun) return { ...result, planned: ranges.map((r) => ({ kind: 'cell', range: r })) };
+    ranges.forEach((r) => cells.push([r, imageFormula(op.insertUrl)]));
+    return {
+      ...result,
+      replaced: ranges.length,
+      ranges,
+      imageUrl: op.insertUrl,
+    };
+  });
+
+  if (cells.length) {
+    changes.push(...await sheetsChanges(documentId, cells.map(([range]) => range)));
+    await updateSheetCells(documentId, cells);
+  }
+  return results;
+}
+
+// What a dry run reports for a planned Slides replacement
+function describeSlidesTarget(target) {
+  return {
+    kind: target.kind,
+    objectId: target.objectId,
+    pageObjectId: target.pageObjectId,
+    thumbnailUrl: target.contentUrl,
+  };
+}
+
+// Journal record of a Slides edit; shapes are replaced by a new image with id newObjectId
+function slidesChange(target, newObjectId, previousImageUrl) {
+  if (target.kind === 'image') {
+    return {
+      kind: 'image',
+      objectId: target.objectId,
+      pageObjectId: target.pageObjectId,
+      previousImageUrl,
+      previousAltText: target.element?.description || '',
+    };
+  }
+  const { size, transform, shape } = target.element;
+  return {
+    kind: 'shape',
+    objectId: newObjectId,
+    pageObjectId: target.pageObjectId,
+    previousObjectId: target.objectId,
+    previousShapeType: shape?.shapeType,
+    previousText: shapeText(target.element),
+    size,
+    transform,
+  };
+}
+
+// Applies all edits in one batchUpdate and returns their journal records
+async function applySlidesEdits(presentationId, edits, fit) {
+  const newIds = edits.map(({ target }) => (
+    target.kind === 'shape' ? `firefly_${randomUUID().replace(/-/g, '')}` : undefined
+  ));
+  await batchUpdatePresentation(presentationId, edits.flatMap(({ target, url, altText }, i) => (
+    replaceSlideElementRequests(target, url, { fit, newObjectId: newIds[i], altText })
+  )));
+  return edits.map(({ target }, i) => slidesChange(target, newIds[i], target.contentUrl));
+}
+
+// Replaces the given element, the nth image, the placeholder boxes or the first image
+async function replaceInSlides(presentationId, {
+  placeholder, targetIndex, objectId, insertUrl, altText, fit, dryRun, changes,
+}) {
+  const presentation = await getPresentation(presentationId);
+  const images = findSlideImages(presentation);
+  let mode = 'placeholder';
+  let targets = [];
+  if (objectId) {
+    mode = 'object';
+    targets = [findSlideElement(presentation, objectId)].filter(Boolean);
+  } else if (typeof targetIndex === 'number' && images[targetIndex]) {
+    mode = 'nth-image';
+    targets = [images[targetIndex]];
+  } else {
+    targets = findTextShapes(presentation, placeholder);
+    if (targets.length === 0 && typeof targetIndex !== 'number') {
+      mode = 'first-image';
+      targets = images.slice(0, 1);
+    }
+  }
+  if (targets.length === 0) return { replaced: 0, type: 'slides' };
+
+  const result = {
+    replaced: targets.length,
+    type: 'slides',
+    mode,
+    objectIds: targets.map((t) => t.objectId),
+  };
+  if (mode === 'nth-image') result.index = targetIndex;
+  if (dryRun) return { ...result, replaced: 0, planned: targets.map(describeSlidesTarget) };
+
+  const edits = targets.map((target) => ({ target, url: insertUrl, altText }));
+  changes.push(...await applySlidesEdits(presentationId, edits, fit));
+  if (altText) result.altText = altText;
+  return result;
+}
+
+async function replaceBatchInSlides(presentationId, operations, { fit, dryRun, changes }) {
+  const presentation = await getPresentation(presentationId);
+  const images = findSlideImages(presentation);
+
+  const claimed = new Set();
+  const edits = [];
+  const results = operations.map((op) => {
+    const result = { target: op.target, replaced: 0 };
+    if (op.error) return { ...result, error: op.error };
+    let found;
+    if (typeof op.target === 'number') {
+      found = [images[op.target]].filter(Boolean);
+    } else {
+      const element = findSlideElement(presentation, op.target);
+      found = element ? [element] : findTextShapes(presentation, op.target);
     }
+    const targets = found.filter((t) => !claimed.has(t.objectId));
+    if (targets.length < found.length) result.skipped = found.length - targets.length;
+    targets.forEach((target) => {
+      claimed.add(target.objectId);
+      edits.push({ target, url: op.insertUrl, altText: op.altText });
+    });
+    if (dryRun) return { ...result, planned: targets.map(describeSlidesTarget) };
+    return {
+      ...result,
+      replaced: targets.length,
+      imageUrl: op.insertUrl,
+      altText: targets.length ? op.altText : undefined,
+    };
+  });
 
-    // SHEETS: find all cells matching placeholder and replace with =IMAGE(url)
-    // 1) get values for all sheets
-    const metaRes = await fetch(`${SHEETS_API}/${documentId}`, {
-      headers: { authorization: `Bearer ${accessToken}` },
+  if (edits.length && !dryRun) changes.push(...await applySlidesEdits(presentationId, edits, fit));
+  return results;
+}
+
+const GOOGLE_URL_TYPES = {
+  document: 'docs',
+  spreadsheets: 'sheets',
+  presentation: 'slides',
+};
+
+// Detects the editor type and file id of a Google Docs/Sheets/Slides URL
+function parseGoogleUrl(docUrl) {
+  const m = /https:\/\/docs\.google\.com\/(document|spreadsheets|presentation)\/d\/([^/?#]+)/.exec(docUrl || '');
+  return m ? { type: GOOGLE_URL_TYPES[m[1]], id: m[2] } : null;
+}
+
+function documentChanged() {
+  return httpError(
+    409,
+    `Document kept changing while replacing images (${MAX_REVISION_RETRIES} retries), try again`,
+  );
+}
+
+/**
+ * Records applied changes in the journal, so they can be reverted.
+ * @returns {Promise<string>} the journal id
+ */
+async function journalChanges(changes, {
+  type, documentId, user, persist,
+}) {
+  const entry = await getJournalStore().put({
+    id: randomUUID(),
+    type,
+    documentId,
+    user,
+    changes: await keepPreviousImages(changes, persist),
+  });
+  return entry.id;
+}
+
+/**
+ * Persists the images of batch operations and applies them to the file.
+ * @param {Array<object>} operations see batchOperations()
+ * @param {object} context
+ * @param {object} context.options the request options that apply to every
+ *   operation: altText, prompt, imageSize, fit and sheet
+ * @returns {Promise<?Array<object>>} a result per operation, or null when
+ *   the Docs document kept changing
+ */
+async function applyBatch(operations, {
+  type, documentId, auth, options, persist, dryRun, changes,
+}) {
+  const { imageSize, fit = 'contain', sheet } = options;
+  // persist every distinct image once; a failure only fails its own targets
+  const urls = [...new Set(operations.filter((op) => op.imageUrl).map((op) => op.imageUrl))];
+  const storedByUrl = new Map(await Promise.all(urls.map(async (url) => {
+    try {
+      return [url, persist && !dryRun ? await persistImage(url) : { url, persisted: false }];
+    } catch (e) {
+      return [url, { error: String(e?.message || e) }];
+    }
+  })));
+  const prepared = operations.map((op) => {
+    if (op.error) return op;
+    const { url: insertUrl, error: persistError } = storedByUrl.get(op.imageUrl) || {};
+    if (persistError) return { ...op, error: persistError };
+    const opAltText = resolveAltText({
+      altText: op.altText ?? options.altText,
+      prompt: op.prompt ?? options.prompt,
     });
-    if (!metaRes.ok) {
-      const t = await metaRes.text();
-      throw new Error(`Sheets get error ${metaRes.status}: ${t}`);
+    return { ...op, insertUrl, altText: opAltText };
+  });
+
+  return auth.run(() => {
+    if (type === 'docs') {
+      return replaceBatchInDocs(documentId, prepared, {
+        imageSize, fit, dryRun, changes,
+      });
     }
-    const meta = await metaRes.json();
-    const sheetTitles = (meta.sheets || [])
-      .map((s) => s.properties?.title)
-      .filter(Boolean);
-
-    const getParams = new URLSearchParams({
-      ranges: sheetTitles.map((t) => `${encodeURIComponent(t)}!A:Z`).join('&ranges='),
-      majorDimension: 'ROWS',
+    if (type === 'slides') return replaceBatchInSlides(documentId, prepared, { fit, dryRun, changes });
+    return replaceBatchInSheets(documentId, prepared, { sheet, dryRun, changes });
+  });
+}
+
+/**
+ * Starts a job that generates the directives of a document, see
+ * advanceDirectiveJob().
+ * @param {Array<string>} texts directive texts, see findDirectives()
+ */
+function startDirectiveJob(texts, { subject, params }) {
+  return getJobStore().put({
+    id: randomUUID(),
+    kind: 'directives',
+    status: 'queued',
+    progress: 0,
+    subject,
+    params,
+    replaced: 0,
+    journalIds: [],
+    results: texts.map((target) => ({
+      target, prompt: parseDirective(target).prompt, status: 'pending',
+    })),
+  });
+}
+
+/**
+ * Generates and inserts the next DIRECTIVE_CONCURRENCY directives of a job,
+ * unless it is over or another poll is already doing so. Each batch is
+ * journaled on its own; once all are done the EDS page is refreshed when
+ * the job asked for it.
+ * @returns {Promise<object>} the job as it is now
+ */
+async function advanceDirectiveJob(job, { auth }) {
+  if (TERMINAL_STATES.includes(job.status)) return job;
+  const store = getJobStore();
+  const claimed = await store.claim(job.id, DIRECTIVE_LEASE_MS);
+  if (!claimed) return job;
+  if (TERMINAL_STATES.includes(claimed.status)) return store.update(job.id, { leaseUntil: 0 });
+
+  const { params } = claimed;
+  const pending = claimed.results.filter((r) => r.status === 'pending')
+    .slice(0, DIRECTIVE_CONCURRENCY);
+  const patch = { leaseUntil: 0 };
+  try {
+    await store.update(job.id, { status: 'running' });
+    const operations = await directiveOperations(pending.map((r) => r.target), {
+      subject: claimed.subject,
     });
-    const getRes = await fetch(`${SHEETS_API}/${documentId}/values:batchGet?${getParams}`, {
-      headers: { authorization: `Bearer ${accessToken}` },
+    const changes = [];
+    const applied = await applyBatch(operations, {
+      type: 'docs',
+      documentId: params.documentId,
+      auth,
+      options: params,
+      persist: params.persist,
+      changes,
     });
-    if (!getRes.ok) {
-      const t = await getRes.text();
-      throw new Error(`Sheets values error ${getRes.status}: ${t}`);
+    const outcomes = new Map(operations.map((op, i) => {
+      const result = applied?.[i] || { replaced: 0, error: documentChanged().message };
+      return [op.target, {
+        ...result, prompt: op.prompt, seed: op.seed, status: result.error ? 'failed' : 'done',
+      }];
+    }));
+    patch.results = claimed.results.map((r) => outcomes.get(r.target) || r);
+    const replaced = [...outcomes.values()].reduce((sum, r) => sum + r.replaced, 0);
+    patch.replaced = claimed.replaced + replaced;
+    patch.journalIds = [...claimed.journalIds];
+    if (changes.length) {
+      patch.journalIds.push(await journalChanges(changes, {
+        type: 'docs', documentId: params.documentId, user: auth.user, persist: params.persist,
+      }));
     }
-    const valuesData = await getRes.json();
-
-    // If a specific range was provided, update only that cell with =IMAGE(url)
-    if (range) {
-      const updateOne = await fetch(`${SHEETS_API}/${documentId}/values:batchUpdate`, {
-        method: 'POST',
-        headers: { authorization: `Bearer ${accessToken}`, 'content-type': 'application/json' },
-        body: JSON.stringify({
-          valueInputOption: 'USER_ENTERED',
-          data: [{ range, values: [[`=IMAGE("${imageUrl}")`]] }],
-        }),
-      });
-      if (!updateOne.ok) {
-        const t = await updateOne.text();
-        throw new Error(`Sheets single update error ${updateOne.status}: ${t}`);
+    const left = patch.results.filter((r) => r.status === 'pending').length;
+    patch.progress = left === 0
+      ? 100
+      : Math.round(((patch.results.length - left) / patch.results.length) * 100);
+    if (left === 0) {
+      patch.status = 'succeeded';
+      if (params.preview || params.publish) {
+        patch.aem = await refreshAemPage(params.docUrl, { publish: params.publish });
       }
-      return { statusCode: 200, headers: { ...cors, 'content-type': 'application/json' }, body: JSON.stringify({ replaced: 1, type: 'sheets', range }) };
     }
+  } catch (e) {
+    patch.status = 'failed';
+    patch.error = String(e?.message || e);
+  }
+  return store.update(job.id, patch);
+}
 
-    // Build batch update for placeholder replacement across all sheets
-    const data = (valuesData.valueRanges || [])
-      .map((vr) => {
-        const { range, values = [] } = vr; // e.g., 'Sheet1!A1:Z1000'
-        const [sheet] = range.split('!');
-        const rows = values.map((row) => row.map((cell) => (
-          typeof cell === 'string' && cell.includes(placeholder)
-            ? `=IMAGE("${imageUrl}")`
-            : cell
-        )));
-        const changed = rows.some((row) => row.some((cell) => typeof cell === 'string' && cell.startsWith('=IMAGE(')));
-        return changed ? { range: `${sheet}!A1`, majorDimension: 'ROWS', values: rows } : null;
-      })
-      .filter(Boolean);
-
-    if (data.length === 0) {
-      return {
-        statusCode: 200,
-        headers: { ...cors, 'content-type': 'application/json' },
-        body: JSON.stringify({ replaced: 0, type: 'sheets' }),
-      };
-    }
+function jobIdFromRequest(request) {
+  if (request?.params?.id) return request.params.id;
+  const m = /\/replace-image\/([^/?#]+)/.exec(request?.path || request?.url || '');
+  if (m) return decodeURIComponent(m[1]);
+  return request?.query?.id || null;
+}
 
-    const updateRes = await fetch(
-      `${SHEETS_API}/${documentId}/values:batchUpdate`,
-      {
-        method: 'POST',
-        headers: {
-          authorization: `Bearer ${accessToken}`,
-          'content-type': 'application/json',
-        },
-        body: JSON.stringify({ valueInputOption: 'USER_ENTERED', data }),
-      },
-    );
-    if (!updateRes.ok) {
-      const t = await updateRes.text();
-      throw new Error(`Sheets batchUpdate error ${updateRes.status}: ${t}`);
-    }
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress,
+    replaced: job.replaced,
+    results: job.results,
+    journalIds: job.journalIds,
+    aem: job.aem,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+// GET of a directive job: generates its next directives, see advanceDirectiveJob()
+async function pollDirectiveJob({ request, subject, authorize }) {
+  const id = jobIdFromRequest(request);
+  if (!id) throw httpError(400, 'Missing job id');
+  const job = await getJobStore().get(id);
+  // only whoever started a job can see or drive it
+  if (!job || job.kind !== 'directives' || job.subject !== subject) {
+    throw httpError(404, 'Job not found');
+  }
+  let current = job;
+  if (!TERMINAL_STATES.includes(job.status)) {
+    await authorize({ googleFileId: job.params.documentId });
+    const auth = await authorizeGoogleRequest(request, 'docs');
+    if (auth.error) throw httpError(auth.statusCode, auth.error);
+    current = await advanceDirectiveJob(job, { auth });
+  }
+  return {
+    headers: { 'cache-control': 'no-store' },
+    body: serializeJob(current),
+  };
+}
+
+async function replaceImage({
+  request, body, subject, authorize,
+}) {
+  const {
+    docUrl,
+    imageUrl,
+    placeholder = '{{images}}',
+    widthPt,
+    heightPt,
+    fit = 'contain',
+    imageSize,
+    range,
+    sheet,
+    targetIndex,
+    objectId,
+    persist = true,
+    dryRun = false,
+    preview = false,
+    publish = false,
+  } = body;
+  const isDirectives = body.directives === true;
+  const isBatch = Boolean(body.images || body.operations) || isDirectives;
+  if (!imageUrl && !isBatch && !dryRun) throw httpError(400, 'Missing imageUrl');
+  // explicit widthPt/heightPt win over the size of the replaced object
+  const explicitSize = widthPt || heightPt
+    ? { width: widthPt || DEFAULT_SIZE_PT, height: heightPt || DEFAULT_SIZE_PT }
+    : null;
+
+  // Detect Docs, Sheets or Slides by URL
+  const googleUrl = parseGoogleUrl(docUrl);
+  if (!googleUrl) throw httpError(400, 'Unsupported Google URL');
+  const isDocs = googleUrl.type === 'docs';
+  const isSlides = googleUrl.type === 'slides';
+  if (isDirectives && !isDocs) throw httpError(400, 'directives are only supported in Google Docs');
+
+  const documentId = googleUrl.id || body.documentId;
+  if (!documentId) throw httpError(400, 'Missing documentId');
+  await authorize({ googleFileId: documentId });
+
+  const auth = await authorizeGoogleRequest(request, googleUrl.type);
+  if (auth.error) throw httpError(auth.statusCode, auth.error);
+
+  // what the replacement changes, so it can be reverted
+  const changes = [];
+  // journals the applied changes and refreshes the EDS page when asked to
+  const finish = async (result) => {
+    if (dryRun || changes.length === 0) return result;
+    const journalId = await journalChanges(changes, {
+      type: googleUrl.type, documentId, user: auth.user, persist,
+    });
+    const finished = { ...result, journalId };
+    if (preview || publish) finished.aem = await refreshAemPage(docUrl, { publish });
+    return finished;
+  };
 
+  if (isDirectives && !dryRun) {
+    const doc = await auth.run(() => getDocument(documentId));
+    const job = await startDirectiveJob(findDirectives(doc), {
+      subject,
+      params: {
+        docUrl, documentId, persist, preview, publish, altText: body.altText,
+      },
+    });
     return {
-      statusCode: 200,
-      headers: { ...cors, 'content-type': 'application/json' },
-      body: JSON.stringify({ replaced: true, type: 'sheets' }),
+      statusCode: 202,
+      body: {
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/google/replace-image/${job.id}`,
+      },
     };
-  } catch (e) {
-    return { statusCode: 500, headers: cors, body: String(e?.message || e) };
   }
+
+  if (isBatch) {
+    let operations;
+    if (isDirectives) {
+      const doc = await auth.run(() => getDocument(documentId));
+      operations = await directiveOperations(findDirectives(doc), { dryRun, subject });
+    } else {
+      const batch = batchOperations(body);
+      if (batch.error) throw httpError(400, batch.error);
+      ({ operations } = batch);
+    }
+    const results = await applyBatch(operations, {
+      type: googleUrl.type, documentId, auth, options: body, persist, dryRun, changes,
+    });
+    if (!results) throw documentChanged();
+    const batchResult = {
+      replaced: results.reduce((sum, r) => sum + r.replaced, 0),
+      type: googleUrl.type,
+      mode: isDirectives ? 'directives' : 'batch',
+      results: isDirectives
+        ? results.map((r, i) => {
+          const { prompt, seed } = operations[i];
+          return { ...r, prompt, seed };
+        })
+        : results,
+    };
+    if (dryRun) batchResult.dryRun = true;
+    return { body: await finish(batchResult) };
+  }
+
+  const stored = persist && !dryRun
+    ? await persistImage(imageUrl)
+    : { url: imageUrl, persisted: false };
+  const insertUrl = stored.url;
+  const options = {
+    placeholder,
+    targetIndex,
+    objectId,
+    range,
+    sheet,
+    insertUrl,
+    altText: resolveAltText(body),
+    fit,
+    sizing: { explicitSize, imageSize, fit },
+    dryRun,
+    changes,
+  };
+
+  const result = await auth.run(() => {
+    if (isDocs) return replaceInDocs(documentId, options);
+    if (isSlides) return replaceInSlides(documentId, options);
+    return replaceInSheets(documentId, options);
+  });
+  if (!result) throw documentChanged();
+  if (result.replaced) {
+    result.imageUrl = insertUrl;
+    result.persisted = stored.persisted;
+  }
+  if (dryRun) result.dryRun = true;
+
+  return { body: await finish(result) };
 }
+
+export default createHandler({
+  name: 'google/replace-image',
+  methods: {
+    GET: pollDirectiveJob,
+    POST: { schema: SCHEMA, handle: replaceImage },
+  },
+});
@@ -0,0 +1,199 @@
+import { httpError } from '../_shared/errors.js';
+import { authorizeGoogleRequest } from '../_shared/google-auth.js';
+import {
+  batchUpdateDocument,
+  byDescendingIndex,
+  findImages,
+  getDocument,
+  objectSizeInPt,
+} from '../_shared/google-docs.js';
+import { updateSheetCells } from '../_shared/google-sheets.js';
+import {
+  batchUpdatePresentation,
+  findSlideElement,
+  getPresentation,
+} from '../_shared/google-slides.js';
+import createHandler from '../_shared/handler.js';
+import { getJournalStore } from '../_shared/journal-store.js';
+
+/*
+  Reverts an image replacement recorded by /api/google/replace-image.
+    POST /api/google/revert { journalId }
+      -> { reverted, skipped, notRevertible, type, journalId }
+  404 when the journal entry does not exist, 409 when it was already reverted
+  or another revert of it is running; the entry is claimed before anything
+  is edited and released again when the revert fails.
+  Journal changes per editor type:
+    - docs: { kind: text | inline | positioned, segmentId, objectId,
+      previousText | previousImageUrl + previousSize }; objectId is the
+      inserted image, which is swapped back for the placeholder text or the
+      previous image. Positioned images come back as inline images, the Docs
+      API cannot create positioned objects.
+    - slides: { kind: image, objectId, previousImageUrl, previousAltText } is
+      swapped back in place; { kind: shape, objectId, previousObjectId, previousShapeType,
+      previousText, size, transform } recreates the shape with its plain text.
+    - sheets: { kind: cell, range, previousValue } is written back as is.
+  Changes whose inserted image was deleted in the meantime are skipped.
+  Changes journaled with `notRevertible` (the replaced image could not be
+  stored, see replace-image) are counted apart and left as they are.
+  Docs reverts are applied with the revision id of the document the images
+  were located in, so edits made in between never shift them; after a few
+  attempts on a document that keeps changing the endpoint answers 409.
+  Auth works as for replace-image: the revert runs with the caller's own
+  Google access token when one is forwarded, see ../_shared/google-auth.js.
+*/
+
+const MAX_REVISION_RETRIES = 3;
+
+// Reverts on the document it located the images in; when a collaborator
+// edits the document in between, it reads the document and locates again
+async function revertDocs(documentId, changes, retries = MAX_REVISION_RETRIES) {
+  const doc = await getDocument(documentId);
+  const images = findImages(doc);
+  const located = changes
+    .map((change) => ({
+      change,
+      image: images.find((img) => img.kind === 'inline' && img.objectId === change.objectId),
+    }))
+    .filter(({ change, image }) => image && (change.kind === 'text' || change.previousImageUrl));
+
+  const requests = located
+    .sort((a, b) => byDescendingIndex(a.image, b.image))
+    .flatMap(({ change, image }) => {
+      const { segmentId, startIndex, endIndex } = image;
+      const location = { segmentId, index: startIndex };
+      const restore = change.kind === 'text'
+        ? { insertText: { location, text: change.previousText } }
+        : {
+          insertInlineImage: {
+            location,
+            uri: change.previousImageUrl,
+            objectSize: change.previousSize ? objectSizeInPt(change.previousSize) : undefined,
+          },
+        };
+      return [{ deleteContentRange: { range: { segmentId, startIndex, endIndex } } }, restore];
+    });
+
+  if (requests.length === 0) return 0;
+  const response = await batchUpdateDocument(documentId, requests, {
+    requiredRevisionId: doc.revisionId,
+  });
+  if (response) return located.length;
+  if (retries > 0) return revertDocs(documentId, changes, retries - 1);
+  throw httpError(
+    409,
+    `Document kept changing while reverting (${MAX_REVISION_RETRIES} retries), try again`,
+  );
+}
+
+async function revertSlides(presentationId, changes) {
+  const presentation = await getPresentation(presentationId);
+  const located = changes.filter((change) => (
+    findSlideElement(presentation, change.objectId)
+    && (change.kind === 'shape' || change.previousImageUrl)
+  ));
+
+  const requests = located.flatMap((change) => {
+    if (change.kind === 'image') {
+      const restoreAltText = typeof change.previousAltText === 'string'
+        ? [{
+          updatePageElementAltText: {
+            objectId: change.objectId,
+            description: change.previousAltText,
+          },
+        }]
+        : [];
+      return [{
+        replaceImage: {
+          imageObjectId: change.objectId,
+          url: change.previousImageUrl,
+          imageReplaceMethod: 'CENTER_INSIDE',
+        },
+      }, ...restoreAltText];
+    }
+    const text = (change.previousText || '').replace(/\n$/, '');
+    return [
+      { deleteObject: { objectId: change.objectId } },
+      {
+        createShape: {
+          objectId: change.previousObjectId,
+          shapeType: change.previousShapeType || 'TEXT_BOX',
+          elementProperties: {
+            pageObjectId: change.pageObjectId,
+            size: change.size,
+            transform: change.transform,
+          },
+        },
+      },
+      ...(text ? [{ insertText: { objectId: change.previousObjectId, text } }] : []),
+    ];
+  });
+
+  if (requests.length) await batchUpdatePresentation(presentationId, requests);
+  return located.length;
+}
+
+async function revertSheets(documentId, changes) {
+  if (changes.length) {
+    await updateSheetCells(documentId, changes.map((c) => [c.range, c.previousValue]));
+  }
+  return changes.length;
+}
+
+const REVERTERS = {
+  docs: revertDocs,
+  slides: revertSlides,
+  sheets: revertSheets,
+};
+
+const SCHEMA = {
+  type: 'object',
+  required: ['journalId'],
+  properties: { journalId: { type: 'string' } },
+};
+
+export default createHandler({
+  name: 'google/revert',
+  methods: {
+    POST: {
+      schema: SCHEMA,
+      async handle({ request, body, authorize }) {
+        const { journalId } = body;
+        const store = getJournalStore();
+        const entry = await store.get(journalId);
+        if (!entry) throw httpError(404, 'Journal entry not found');
+        if (entry.revertedAt) throw httpError(409, 'Replacement was already reverted');
+        const revert = REVERTERS[entry.type];
+        if (!revert) throw httpError(400, `Unsupported journal type ${entry.type}`);
+        await authorize({ googleFileId: entry.documentId });
+
+        const auth = await authorizeGoogleRequest(request, entry.type);
+        if (auth.error) throw httpError(auth.statusCode, auth.error);
+
+        // claimed before the edit, so a concurrent revert of it answers 409
+        if (!await store.claim(journalId)) {
+          throw httpError(409, 'Replacement was already reverted');
+        }
+        const changes = entry.changes || [];
+        const revertible = changes.filter((change) => !change.notRevertible);
+        let reverted;
+        try {
+          reverted = await auth.run(() => revert(entry.documentId, revertible));
+        } catch (e) {
+          await store.release(journalId);
+          throw e;
+        }
+
+        return {
+          body: {
+            reverted,
+            skipped: revertible.length - reverted,
+            notRevertible: changes.length - revertible.length,
+            type: entry.type,
+            journalId,
+          },
+        };
+      },
+    },
+  },
+});
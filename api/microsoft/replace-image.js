@@ -0,0 +1,116 @@
+import { refreshAemPage } from '../_shared/aem-admin.js';
+import { resolveAltText } from '../_shared/alt-text.js';
+import { replaceImageInDocx } from '../_shared/docx.js';
+import { httpError } from '../_shared/errors.js';
+import createHandler from '../_shared/handler.js';
+import { FIT_MODES } from '../_shared/image-fit.js';
+import { downloadImage } from '../_shared/image-storage.js';
+import { downloadDriveItem, getDriveItem, uploadDriveItem } from '../_shared/microsoft-graph.js';
+
+/*
+  Replaces placeholder text (e.g., {{images}}) or the image at `targetIndex`
+  in a Word document on SharePoint or OneDrive, the counterpart of
+  /api/google/replace-image for sites that mount SharePoint in fstab.yaml.
+  The .docx is downloaded through Microsoft Graph, its OOXML is edited (see
+  ../_shared/docx.js for what is searched) and it is uploaded again; the new
+  image is embedded in the document, so it is not copied to image storage.
+    POST { docUrl, imageUrl, placeholder, targetIndex, fit, imageSize, dryRun,
+           preview, publish, altText, prompt }
+      -> { replaced, type: 'word', mode, index?, imageUrl, altText?, aem? }
+  The image gets `altText`, or alt text derived from the generation `prompt`.
+  `preview` / `publish` refresh the EDS page afterwards, as for Google Docs.
+  The upload only succeeds if nobody saved the file in between (eTag); the
+  edit is then redone on the new version, and after a few attempts the
+  endpoint answers 409.
+  Auth: see ../_shared/microsoft-graph.js for the required env vars.
+*/
+
+// Edits are redone this many times when the file is saved by someone else meanwhile
+const MAX_ETAG_RETRIES = 3;
+
+const SCHEMA = {
+  type: 'object',
+  required: ['docUrl'],
+  properties: {
+    docUrl: { type: 'string' },
+    imageUrl: { type: 'string' },
+    placeholder: { type: 'string' },
+    targetIndex: { type: 'integer', minimum: 0 },
+    fit: { type: 'string', enum: FIT_MODES },
+    imageSize: {
+      type: 'object',
+      properties: { width: { type: 'number' }, height: { type: 'number' } },
+    },
+    dryRun: { type: 'boolean' },
+    preview: { type: 'boolean' },
+    publish: { type: 'boolean' },
+    altText: { type: 'string' },
+    prompt: { type: 'string' },
+  },
+};
+
+/**
+ * Downloads, edits and uploads the document.
+ * @returns {Promise<?object>} the edit outcome, or null when the file kept
+ *   changing for MAX_ETAG_RETRIES retries
+ */
+async function replaceInWord(docUrl, options, retries = MAX_ETAG_RETRIES) {
+  const item = await getDriveItem(docUrl);
+  if (!/\.docx$/i.test(item.name || '')) throw httpError(400, `Not a .docx file: ${item.name}`);
+  const outcome = replaceImageInDocx(await downloadDriveItem(item), options);
+  if (!outcome.docx) return outcome;
+  if (await uploadDriveItem(item, outcome.docx)) return outcome;
+  return retries > 0 ? replaceInWord(docUrl, options, retries - 1) : null;
+}
+
+export default createHandler({
+  name: 'microsoft/replace-image',
+  methods: {
+    POST: {
+      schema: SCHEMA,
+      async handle({ body }) {
+        const {
+          docUrl,
+          imageUrl,
+          placeholder = '{{images}}',
+          targetIndex,
+          fit = 'contain',
+          imageSize,
+          dryRun = false,
+          preview = false,
+          publish = false,
+        } = body;
+        if (!imageUrl && !dryRun) throw httpError(400, 'Missing imageUrl');
+        if (!/^https:\/\/([^/]+\.sharepoint\.com|1drv\.ms|onedrive\.live\.com)\//.test(docUrl)) {
+          throw httpError(400, 'Unsupported SharePoint or OneDrive URL');
+        }
+
+        const image = dryRun ? null : await downloadImage(imageUrl);
+        const altText = resolveAltText(body);
+        const outcome = await replaceInWord(docUrl, {
+          placeholder, targetIndex, image, imageSize, fit, altText,
+        });
+        if (!outcome) {
+          throw httpError(
+            409,
+            `Document kept changing while replacing images (${MAX_ETAG_RETRIES} retries), try again`,
+          );
+        }
+
+        const { mode, planned } = outcome;
+        const result = { replaced: dryRun ? 0 : planned.length, type: 'word' };
+        if (mode) result.mode = mode;
+        if (mode === 'nth-image') result.index = targetIndex;
+        if (dryRun) {
+          result.dryRun = true;
+          result.planned = planned;
+        } else if (planned.length) {
+          result.imageUrl = imageUrl;
+          if (altText) result.altText = altText;
+          if (preview || publish) result.aem = await refreshAemPage(docUrl, { publish });
+        }
+        return { body: result };
+      },
+    },
+  },
+});
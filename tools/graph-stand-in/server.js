@@ -0,0 +1,110 @@
+/*
+  Local Microsoft Graph stand-in for trying api/microsoft/replace-image
+  without a tenant. It serves the .docx files of a folder as drive items:
+    GET /v1.0/shares/{shareId}/driveItem          -> { id, name, eTag, parentReference }
+    GET /v1.0/drives/local/items/{id}/content     -> file bytes
+    PUT /v1.0/drives/local/items/{id}/content     -> updated drive item; 412
+      when if-match is not the current eTag, like Graph
+  A share id resolves to the file named like the last path segment of the
+  shared URL, e.g. https://x.sharepoint.com/sites/s/Shared%20Documents/page.docx
+  to page.docx. Uploads overwrite the file in the folder. Any bearer token is
+  accepted.
+
+  Usage:
+    node tools/graph-stand-in/server.js <folder> [port]
+  then run the api/ functions with
+    MS_GRAPH_BASE_URL=http://localhost:8787/v1.0 MS_GRAPH_ACCESS_TOKEN=local
+*/
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { basename, join, resolve } from 'node:path';
+
+const DEFAULT_PORT = 8787;
+const DRIVE_ID = 'local';
+
+const [folderArg, portArg] = process.argv.slice(2);
+if (!folderArg) {
+  // eslint-disable-next-line no-console
+  console.error('Usage: node tools/graph-stand-in/server.js <folder> [port]');
+  process.exit(1);
+}
+const folder = resolve(folderArg);
+
+const eTagOf = (bytes) => `"${createHash('sha1').update(bytes).digest('hex')}"`;
+
+// File name of a share id, see shareIdForUrl() in api/_shared/microsoft-graph.js
+function fileOfShare(shareId) {
+  const encoded = shareId.replace(/^u!/, '').replace(/_/g, '/').replace(/-/g, '+');
+  const url = Buffer.from(encoded, 'base64').toString();
+  return decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+}
+
+async function driveItem(name) {
+  const file = basename(name);
+  const bytes = await readFile(join(folder, file));
+  return {
+    id: encodeURIComponent(file),
+    name: file,
+    eTag: eTagOf(bytes),
+    size: bytes.length,
+    parentReference: { driveId: DRIVE_ID },
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolveBody(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  const json = body instanceof Buffer ? null : JSON.stringify(body);
+  res.writeHead(status, {
+    'content-type': json ? 'application/json' : 'application/octet-stream',
+  });
+  res.end(json ?? body);
+}
+
+const graphError = (res, status, code, message) => send(res, status, { error: { code, message } });
+
+async function route(req, res) {
+  if (!/^Bearer\s+\S+$/i.test(req.headers.authorization || '')) {
+    graphError(res, 401, 'InvalidAuthenticationToken', 'Access token is empty.');
+    return;
+  }
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const share = /^\/v1\.0\/shares\/([^/]+)\/driveItem$/.exec(pathname);
+  const content = new RegExp(`^/v1\\.0/drives/${DRIVE_ID}/items/([^/]+)/content$`).exec(pathname);
+
+  if (share && req.method === 'GET') {
+    send(res, 200, await driveItem(fileOfShare(share[1])));
+  } else if (content && req.method === 'GET') {
+    send(res, 200, await readFile(join(folder, basename(decodeURIComponent(content[1])))));
+  } else if (content && req.method === 'PUT') {
+    const item = await driveItem(decodeURIComponent(content[1]));
+    const ifMatch = req.headers['if-match'];
+    if (ifMatch && ifMatch !== '*' && ifMatch !== item.eTag) {
+      graphError(res, 412, 'preconditionFailed', 'ETag does not match current item\'s value');
+      return;
+    }
+    await writeFile(join(folder, item.name), await readBody(req));
+    send(res, 200, await driveItem(item.name));
+  } else {
+    graphError(res, 400, 'invalidRequest', `${req.method} ${pathname} is not supported`);
+  }
+}
+
+const port = Number(portArg) || DEFAULT_PORT;
+createServer((req, res) => {
+  route(req, res).catch((e) => {
+    if (e.code === 'ENOENT') graphError(res, 404, 'itemNotFound', 'The resource could not be found.');
+    else graphError(res, 500, 'generalException', String(e?.message || e));
+  });
+}).listen(port, () => {
+  // eslint-disable-next-line no-console
+  console.log(`Graph stand-in serving ${folder} on http://localhost:${port}/v1.0`);
+});
@@ -3,10 +3,31 @@
   - Shows a button in Sidekick on edit/preview/live and Google Docs
   - Textbox UI to enter a prompt, then generates and replaces the selected image
   - Backend endpoints to implement in Cloud Manager/App Builder (I/O Runtime):
-      POST /api/firefly/generate -> { imageUrl }
+      POST /api/firefly/jobs -> { jobId, statusUrl }
+      GET /api/firefly/jobs/:id -> { status, progress, imageUrl }
+      POST /api/firefly/expand | /api/firefly/fill -> { imageUrl }
+      POST /api/firefly/similar -> { imageUrl }
+      GET /api/firefly/usage -> { rate, daily } (remaining generations)
       POST /api/google/replace-image -> { ok: true }
+      POST /api/google/replace-image { directives: true } -> { jobId, statusUrl }
+      GET /api/google/replace-image/:id -> { status, progress, replaced, results }
+        (generates every {{firefly: prompt, 16:9}} brief of a Google Doc)
+      POST /api/microsoft/replace-image -> { ok: true } (Word on SharePoint/OneDrive)
+  - When the backend runs with GOOGLE_AUTH_MODE user/either, the author's
+    Google OAuth access token is forwarded so edits are made as them; the
+    host page or palette hands it over with api.firefly.setGoogleAccessToken()
+    or a `firefly:google-token` message.
+  - When the backend authenticates callers (API_AUTH, see
+    api/_shared/caller-auth.js), every /api call carries a bearer token. The
+    palette signs the author in with their Adobe ID and hands the IMS token
+    over in a `firefly:api-token` message (see firefly.html and the README);
+    a host page can set a token with api.firefly.setApiToken().
 */
 
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_TIMEOUT_MS = 5 * 60 * 1000;
+const EDIT_MODES = ['expand', 'fill'];
+
 let lastClickedImageEl = null;
 document.addEventListener('mousedown', (ev) => {
   const path = ev.composedPath ? ev.composedPath() : [];
@@ -18,6 +39,17 @@ function isGoogleDocs() {
   return /https:\/\/docs\.google\.com\//.test(window.location.href);
 }
 
+function isSharePointDoc() {
+  return /https:\/\/([^/]+\.sharepoint\.com|onedrive\.live\.com)\//.test(window.location.href);
+}
+
+// Backend that edits the current document, null when the page is not a document editor
+function replaceImageEndpoint() {
+  if (isGoogleDocs()) return '/api/google/replace-image';
+  if (isSharePointDoc()) return '/api/microsoft/replace-image';
+  return null;
+}
+
 async function fetchWithTimeout(url, options = {}, timeoutMs = 30000) {
   const ctrl = new AbortController();
   const t = setTimeout(() => ctrl.abort(), timeoutMs);
@@ -65,6 +97,141 @@ function findNearestImageIndex(point) {
   }
 }
 
+let googleAccessToken = null;
+
+// Credentials are only taken from the page itself and from the site serving
+// this plugin and its palette (firefly.html), not from any other frame
+function isTrustedSender(ev) {
+  return ev.origin === window.location.origin || ev.origin === new URL(import.meta.url).origin;
+}
+
+// Answers a message of a trusted sender, to its origin only
+function replyTo(ev) {
+  return (message) => (ev.source || window).postMessage(message, ev.origin);
+}
+let apiToken = null;
+
+// Headers of an /api call, with the caller's bearer token when known
+function apiHeaders(headers = {}) {
+  return apiToken ? { ...headers, authorization: `Bearer ${apiToken}` } : headers;
+}
+
+// Headers for replace-image calls, with the author's Google access token when known
+function replaceImageHeaders() {
+  const headers = apiHeaders({ 'content-type': 'application/json' });
+  if (googleAccessToken && isGoogleDocs()) headers['x-google-access-token'] = googleAccessToken;
+  return headers;
+}
+
+// Message of a failed API response: the { error: { message, requestId } } body, or its text
+async function responseError(resp) {
+  const text = await resp.text();
+  try {
+    const { error } = JSON.parse(text);
+    if (error?.message) return error.requestId ? `${error.message} (${error.requestId})` : error.message;
+  } catch (e) {
+    // not a JSON error body, e.g. from a gateway
+  }
+  return text;
+}
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+async function pollGenerationJob(statusUrl, deadline, onProgress) {
+  if (Date.now() > deadline) throw new Error('generate timed out');
+  await sleep(JOB_POLL_INTERVAL_MS);
+  // without the Firefly async API, a poll generates the image before it answers
+  const statusResp = await fetchWithTimeout(statusUrl, { headers: apiHeaders() }, 120000);
+  if (!statusResp.ok) {
+    throw new Error(`job status failed: ${statusResp.status} ${await responseError(statusResp)}`);
+  }
+  const job = await statusResp.json();
+  onProgress({ status: job.status, progress: job.progress });
+  if (job.status === 'succeeded') return job;
+  if (job.status === 'failed') throw new Error(`generate failed: ${job.error || 'unknown error'}`);
+  return pollGenerationJob(statusUrl, deadline, onProgress);
+}
+
+// Polls a directive job, which generates a batch per poll, until it finishes;
+// it only times out when no directive got done for JOB_TIMEOUT_MS
+async function pollDirectiveJob(statusUrl, deadline, onProgress, lastProgress = 0) {
+  if (Date.now() > deadline) throw new Error('generate all timed out');
+  await sleep(JOB_POLL_INTERVAL_MS);
+  const statusResp = await fetchWithTimeout(statusUrl, { headers: replaceImageHeaders() }, 120000);
+  if (!statusResp.ok) {
+    throw new Error(`generate all failed: ${statusResp.status} ${await responseError(statusResp)}`);
+  }
+  const job = await statusResp.json();
+  onProgress({ status: job.status, progress: job.progress });
+  if (job.status === 'succeeded') return job;
+  if (job.status === 'failed') throw new Error(`generate all failed: ${job.error || 'unknown error'}`);
+  const next = job.progress > lastProgress ? Date.now() + JOB_TIMEOUT_MS : deadline;
+  return pollDirectiveJob(statusUrl, next, onProgress, job.progress);
+}
+
+// Submits a generation job and polls it until it finishes, reporting progress
+async function runGenerationJob(params, onProgress = () => {}) {
+  // eslint-disable-next-line no-console
+  console.log('[Firefly Plugin] Calling /api/firefly/jobs');
+  const submitResp = await fetchWithTimeout('/api/firefly/jobs', {
+    method: 'POST',
+    headers: apiHeaders({ 'content-type': 'application/json' }),
+    body: JSON.stringify(params),
+  }, 30000);
+  if (!submitResp.ok) {
+    throw new Error(`generate failed: ${submitResp.status} ${await responseError(submitResp)}`);
+  }
+  const { jobId, statusUrl } = await submitResp.json();
+  onProgress({ status: 'queued', progress: 0 });
+
+  return pollGenerationJob(statusUrl || `/api/firefly/jobs/${jobId}`, Date.now() + JOB_TIMEOUT_MS, onProgress);
+}
+
+// Runs an operation based on an existing image (expand / fill / similar)
+async function runImageOperation(mode, params) {
+  // eslint-disable-next-line no-console
+  console.log(`[Firefly Plugin] Calling /api/firefly/${mode}`);
+  const resp = await fetchWithTimeout(`/api/firefly/${mode}`, {
+    method: 'POST',
+    headers: apiHeaders({ 'content-type': 'application/json' }),
+    body: JSON.stringify(params),
+  }, 120000);
+  if (!resp.ok) {
+    throw new Error(`${mode} failed: ${resp.status} ${await responseError(resp)}`);
+  }
+  return resp.json();
+}
+
+// Aspect ratio (width / height) of the image to replace, if it can be measured
+function imageAspectRatio(img) {
+  if (!img) return undefined;
+  const width = img.naturalWidth || img.getBoundingClientRect().width;
+  const height = img.naturalHeight || img.getBoundingClientRect().height;
+  return width && height ? width / height : undefined;
+}
+
+// Index of the selected image in the document, as replace-image counts them
+function resolveDocsTargetIndex(target) {
+  let targetIndex = null;
+  if (target) {
+    try {
+      const imgs = Array.from(document.querySelectorAll('img'));
+      const idx = imgs.indexOf(target);
+      if (idx >= 0) targetIndex = idx;
+    } catch (e) {
+      // ignore
+    }
+  }
+  if (targetIndex == null) {
+    const bubble = getDocsBubbleRect();
+    if (bubble) {
+      const idx2 = findNearestImageIndex({ x: bubble.left, y: bubble.top });
+      if (typeof idx2 === 'number' && idx2 >= 0) targetIndex = idx2;
+    }
+  }
+  return targetIndex;
+}
+
 async function detectSelectedImageContext() {
   // Google Docs のDOMは保護されているため、ここでは常にnullにフォールバック。
   // 可能であればクリックされた IMG を利用（Docs でも DOM に IMG が存在するケースあり）。
@@ -76,55 +243,120 @@ export default function decorate(config, api) {
   // このJSは palette 上の firefly.html から利用されるヘルパーとして保持
   api.firefly = {
     isGoogleDocs,
+    isSharePointDoc,
     detectSelectedImageContext,
-    async generateAndReplace(prompt) {
+    setGoogleAccessToken(token) {
+      googleAccessToken = token || null;
+    },
+    setApiToken(token) {
+      apiToken = token || null;
+    },
+    // Dry run of the replacement so the author can confirm the targets first.
+    // Returns null outside Google Docs and Word, where the selected image is replaced directly.
+    async previewReplacement() {
+      const endpoint = replaceImageEndpoint();
+      if (!endpoint) return null;
       const target = await detectSelectedImageContext();
-      // eslint-disable-next-line no-console
-      console.log('[Firefly Plugin] Calling /api/firefly/generate');
-      const genResp = await fetchWithTimeout('/api/firefly/generate', {
+      const resp = await fetchWithTimeout(endpoint, {
         method: 'POST',
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ prompt }),
-      }, 45000);
-      // eslint-disable-next-line no-console
-      console.log('[Firefly Plugin] /api/firefly/generate status:', genResp.status);
-      if (!genResp.ok) {
-        const t = await genResp.text();
-        throw new Error(`generate failed: ${genResp.status} ${t}`);
+        headers: replaceImageHeaders(),
+        body: JSON.stringify({
+          docUrl: window.location.href,
+          targetIndex: resolveDocsTargetIndex(target),
+          dryRun: true,
+        }),
+      }, 30000);
+      if (!resp.ok) {
+        throw new Error(`preview failed: ${resp.status} ${await responseError(resp)}`);
+      }
+      return resp.json();
+    },
+    // Remaining rate limit and daily quota of the author, see api/firefly/usage.js
+    async getUsage() {
+      const resp = await fetchWithTimeout('/api/firefly/usage', { headers: apiHeaders() }, 15000);
+      if (!resp.ok) {
+        throw new Error(`usage failed: ${resp.status} ${await responseError(resp)}`);
+      }
+      return resp.json();
+    },
+    // Generates every {{firefly: ...}} directive of the Google Doc in place; the
+    // server generates a few of them per poll of the job, see api/google/replace-image.js
+    async generateDirectives(onProgress = () => {}) {
+      if (!isGoogleDocs()) throw new Error('Directives are only supported in Google Docs');
+      const resp = await fetchWithTimeout('/api/google/replace-image', {
+        method: 'POST',
+        headers: replaceImageHeaders(),
+        body: JSON.stringify({ docUrl: window.location.href, directives: true }),
+      }, 30000);
+      if (!resp.ok) {
+        throw new Error(`generate all failed: ${resp.status} ${await responseError(resp)}`);
+      }
+      const { statusUrl } = await resp.json();
+      onProgress({ status: 'queued', progress: 0 });
+      return pollDirectiveJob(statusUrl, Date.now() + JOB_TIMEOUT_MS, onProgress);
+    },
+    async generateAndReplace(prompt, onProgress, {
+      mode = 'generate',
+      size,
+      maskUrl,
+      referenceType,
+      referenceStrength,
+      fit,
+    } = {}) {
+      const target = await detectSelectedImageContext();
+      let imageUrl;
+      let images;
+      if (mode === 'similar') {
+        const referenceUrl = target?.currentSrc || target?.src;
+        if (!referenceUrl) throw new Error('No reference image selected');
+        onProgress?.({ status: 'running' });
+        ({ imageUrl, images } = await runImageOperation('similar', {
+          prompt,
+          aspectRatio: imageAspectRatio(target),
+          referenceUrl,
+          referenceType,
+          referenceStrength,
+        }));
+      } else if (EDIT_MODES.includes(mode)) {
+        const sourceUrl = target?.currentSrc || target?.src;
+        if (!sourceUrl) throw new Error('No source image selected');
+        onProgress?.({ status: 'running' });
+        ({ imageUrl, images } = await runImageOperation(mode, {
+          prompt: prompt || undefined,
+          imageUrl: sourceUrl,
+          size,
+          maskUrl,
+        }));
+      } else {
+        ({ imageUrl, images } = await runGenerationJob({
+          prompt,
+          aspectRatio: imageAspectRatio(target),
+        }, onProgress));
       }
-      const { imageUrl } = await genResp.json();
       if (!imageUrl) throw new Error('No imageUrl returned');
 
-      if (isGoogleDocs()) {
-        let targetIndex = null;
-        if (target) {
-          try {
-            const imgs = Array.from(document.querySelectorAll('img'));
-            const idx = imgs.indexOf(target);
-            if (idx >= 0) targetIndex = idx;
-          } catch (e) {
-            // ignore
-          }
-        }
-        if (targetIndex == null) {
-          const bubble = getDocsBubbleRect();
-          if (bubble) {
-            const idx2 = findNearestImageIndex({ x: bubble.left, y: bubble.top });
-            if (typeof idx2 === 'number' && idx2 >= 0) targetIndex = idx2;
-          }
-        }
+      const endpoint = replaceImageEndpoint();
+      if (endpoint) {
+        const targetIndex = resolveDocsTargetIndex(target);
         // eslint-disable-next-line no-console
-        console.log('[Firefly Plugin] Calling /api/google/replace-image with targetIndex:', targetIndex);
-        const repResp = await fetchWithTimeout('/api/google/replace-image', {
+        console.log(`[Firefly Plugin] Calling ${endpoint} with targetIndex:`, targetIndex);
+        const repResp = await fetchWithTimeout(endpoint, {
           method: 'POST',
-          headers: { 'content-type': 'application/json' },
-          body: JSON.stringify({ docUrl: window.location.href, targetIndex, imageUrl }),
+          headers: replaceImageHeaders(),
+          body: JSON.stringify({
+            docUrl: window.location.href,
+            targetIndex,
+            imageUrl,
+            // the server derives the alt text of the inserted image from it
+            prompt,
+            fit,
+            imageSize: images?.[0] && { width: images[0].width, height: images[0].height },
+          }),
         }, 30000);
         // eslint-disable-next-line no-console
-        console.log('[Firefly Plugin] /api/google/replace-image status:', repResp.status);
+        console.log(`[Firefly Plugin] ${endpoint} status:`, repResp.status);
         if (!repResp.ok) {
-          const t = await repResp.text();
-          throw new Error(`replace failed: ${repResp.status} ${t}`);
+          throw new Error(`replace failed: ${repResp.status} ${await responseError(repResp)}`);
         }
         return { replaced: true, imageUrl };
       }
@@ -140,26 +372,83 @@ export default function decorate(config, api) {
   };
 
   // Palette からの postMessage を受け取り、生成→置換を実行
+  window.addEventListener('message', (ev) => {
+    if (ev.data?.type !== 'firefly:google-token' || !isTrustedSender(ev)) return;
+    api.firefly.setGoogleAccessToken(ev.data.token);
+  });
+
+  window.addEventListener('message', (ev) => {
+    if (ev.data?.type !== 'firefly:api-token' || !isTrustedSender(ev)) return;
+    api.firefly.setApiToken(ev.data.token);
+  });
+
+  window.addEventListener('message', async (ev) => {
+    if (ev.data?.type !== 'firefly:preview' || !isTrustedSender(ev)) return;
+    const reply = replyTo(ev);
+    try {
+      const plan = await api.firefly.previewReplacement();
+      reply({ type: 'firefly:preview-result', plan });
+    } catch (e) {
+      reply({ type: 'firefly:preview-result', error: String(e?.message || e) });
+    }
+  });
+
+  window.addEventListener('message', async (ev) => {
+    if (ev.data?.type !== 'firefly:usage' || !isTrustedSender(ev)) return;
+    const reply = replyTo(ev);
+    try {
+      const usage = await api.firefly.getUsage();
+      reply({ type: 'firefly:usage-result', usage });
+    } catch (e) {
+      reply({ type: 'firefly:usage-result', error: String(e?.message || e) });
+    }
+  });
+
+  window.addEventListener('message', async (ev) => {
+    if (ev.data?.type !== 'firefly:generate-all' || !isTrustedSender(ev)) return;
+    const reply = replyTo(ev);
+    try {
+      const res = await api.firefly.generateDirectives(
+        (progress) => reply({ type: 'firefly:progress', ...progress }),
+      );
+      reply({ type: 'firefly:generate-all-result', res });
+    } catch (e) {
+      reply({ type: 'firefly:generate-all-result', error: String(e?.message || e) });
+    }
+  });
+
   window.addEventListener('message', async (ev) => {
     const { data } = ev;
-    if (!data || data.type !== 'firefly:generate') return;
+    if (data?.type !== 'firefly:generate' || !isTrustedSender(ev)) return;
+    const reply = replyTo(ev);
     try {
       // ensure an image is selected / inferable
       const tentative = await detectSelectedImageContext();
       if (!tentative && isGoogleDocs() && !getDocsBubbleRect()) {
-        (ev.source || window).postMessage({ type: 'firefly:result', error: '置換対象の画像が見つかりません（画像をクリックして選択してください）' }, ev.origin || '*');
+        reply({ type: 'firefly:result', error: '置換対象の画像が見つかりません（画像をクリックして選択してください）' });
         return;
       }
       // eslint-disable-next-line no-console
       console.log('[Firefly Plugin] Generating with prompt:', data.prompt);
-      const res = await api.firefly.generateAndReplace(String(data.prompt || ''));
+      const res = await api.firefly.generateAndReplace(
+        String(data.prompt || ''),
+        (progress) => reply({ type: 'firefly:progress', ...progress }),
+        {
+          mode: data.mode,
+          size: data.size,
+          maskUrl: data.maskUrl,
+          referenceType: data.referenceType,
+          referenceStrength: data.referenceStrength,
+          fit: data.fit,
+        },
+      );
       // eslint-disable-next-line no-console
       console.log('[Firefly Plugin] Generate result:', res);
-      (ev.source || window).postMessage({ type: 'firefly:result', res }, ev.origin || '*');
+      reply({ type: 'firefly:result', res });
     } catch (e) {
       // eslint-disable-next-line no-console
       console.error('[Firefly Plugin] Error:', e);
-      (ev.source || window).postMessage({ type: 'firefly:result', error: String(e?.message || e) }, ev.origin || '*');
+      reply({ type: 'firefly:result', error: String(e?.message || e) });
     }
   });
 }